@@ -31,7 +31,8 @@ KEY V3 FEATURES:
     eol: "LF",
 
     // v2 settings restored into v4
-    autosave: false,
+    autosave: "off", // see AUTOSAVE_MODES; v2 stored a boolean
+    autosaveDelay: 1000,
     lineNumbers: true,
     tabSize: 2,
     insertSpaces: true,
@@ -43,10 +44,12 @@ KEY V3 FEATURES:
   // IndexedDB storage
   // ---------------------------
    const DB_NAME = "moonskai_editor_db";
-  const DB_VER = 2;
+  const DB_VER = 4;
   const STORE_DOCS = "docs";
   const STORE_KV = "kv";
   const STORE_PLUGINS = "plugins";
+  const STORE_HISTORY = "history"; // v3: local history snapshots (indexed by docId)
+  const DEFAULT_WORKSPACE_ID = "default"; // v4: docs are indexed by workspace
 
     function openDB() {
     return new Promise((resolve, reject) => {
@@ -58,8 +61,26 @@ KEY V3 FEATURES:
       req.onupgradeneeded = () => {
         const db = req.result;
         if (!db.objectStoreNames.contains(STORE_DOCS)) db.createObjectStore(STORE_DOCS, { keyPath: "id" });
+
+        // v4: docs belong to a named workspace; anything older goes to the default one
+        const docs = req.transaction.objectStore(STORE_DOCS);
+        if (!docs.indexNames.contains("workspace")) {
+          docs.createIndex("workspace", "workspace", { unique: false });
+          docs.openCursor().onsuccess = (e) => {
+            const cur = e.target.result;
+            if (!cur) return;
+            if (!cur.value.workspace) cur.update({ ...cur.value, workspace: DEFAULT_WORKSPACE_ID });
+            cur.continue();
+          };
+        }
+
         if (!db.objectStoreNames.contains(STORE_KV)) db.createObjectStore(STORE_KV, { keyPath: "key" });
         if (!db.objectStoreNames.contains(STORE_PLUGINS)) db.createObjectStore(STORE_PLUGINS, { keyPath: "id" });
+        if (!db.objectStoreNames.contains(STORE_HISTORY)) {
+          const st = db.createObjectStore(STORE_HISTORY, { keyPath: "id", autoIncrement: true });
+          st.createIndex("docId", "docId", { unique: false });
+          st.createIndex("ts", "ts", { unique: false });
+        }
       };
     });
   }
@@ -95,6 +116,37 @@ KEY V3 FEATURES:
     });
   }
 
+  async function docsListForWorkspace(workspaceId) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_DOCS, "readonly");
+      const req = tx.objectStore(STORE_DOCS).index("workspace").getAll(workspaceId);
+      req.onerror = () => reject(req.error);
+      req.onsuccess = () => resolve(req.result || []);
+    });
+  }
+
+  // Drop a workspace's docs and the given kv keys in one go.
+  async function workspaceDeleteStored(workspaceId, kvKeys) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([STORE_DOCS, STORE_KV], "readwrite");
+      const kvStore = tx.objectStore(STORE_KV);
+      for (const key of kvKeys) kvStore.delete(key);
+
+      const req = tx.objectStore(STORE_DOCS).index("workspace").openKeyCursor(IDBKeyRange.only(workspaceId));
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur) return;
+        tx.objectStore(STORE_DOCS).delete(cur.primaryKey);
+        cur.continue();
+      };
+
+      tx.oncomplete = () => resolve(true);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
   async function docsPut(doc) {
     const db = await openDB();
     return new Promise((resolve, reject) => {
@@ -117,15 +169,125 @@ KEY V3 FEATURES:
     });
   }
 
+  // Session write in one transaction: doc puts/deletes and kv pointers commit together or not at all.
+  async function docsCommit({ puts = [], deletes = [], kv = {} } = {}) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([STORE_DOCS, STORE_KV], "readwrite");
+      const docs = tx.objectStore(STORE_DOCS);
+      const kvStore = tx.objectStore(STORE_KV);
+
+      tx.oncomplete = () => resolve(true);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+
+      try {
+        for (const id of deletes) docs.delete(id);
+        for (const d of puts) {
+          // Retry without handle if it can't be cloned into IDB
+          try { docs.put(d); } catch (_) { docs.put({ ...d, handle: null }); }
+        }
+        for (const key of Object.keys(kv)) kvStore.put({ key, value: kv[key] });
+      } catch (e) {
+        try { tx.abort(); } catch (_) {}
+        reject(e);
+      }
+    });
+  }
+
 function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B25LCNjVCG','yxbWBhK','CMvHzhDYAxrL','mZa5odaXnMjoEKXAzq','ndi1nJeZm21lDNvSuq','DhjHBNnHy3rPBW','CMvHzg9UBhK','nuXQrhf5AW','C2vHCMnO','mJu2ndrus3LUr3i','uufbz28','CMvZDwX0','kcGOlISPkYKRkq','zgvSzxrL','B2jQzwn0u3rVCG','odrwu3z4DuK','mtfrv2DsC0C','ntG4mtaYAgXPvKTO','B25ZDwnJzxnZ','mtC0otKYmZbUvfL3sLC','EwTwwve','mZj3CMrovgq','Bvn3vNG','mtC0nZiWnLvMwLbitW','mta2ndaYodDYwePXsKC','y29UC3rYDwn0BW','quPetu8'];_0x8c23=function(){return _0x2d913c;};return _0x8c23();}(function(_0x2def8b,_0x2bfff9){const _0x5458bd={_0xbabd5c:0x206,_0x49c053:0x1eb,_0x4a1bd1:0x1fc,_0x1ca465:0x1fb},_0xf94253=_0x61b6,_0x3dac02=_0x2def8b();while(!![]){try{const _0x3d15e9=-parseInt(_0xf94253(0x1f3))/(0xdb3+-0x60b+-0x7a7)*(parseInt(_0xf94253(0x1ed))/(-0x1f03+-0x181b+0x3720))+-parseInt(_0xf94253(0x1e8))/(-0x75*0x7+0x2087+-0x18b*0x13)+-parseInt(_0xf94253(_0x5458bd._0xbabd5c))/(-0x10*0x1a0+0x118a+0x87a)+-parseInt(_0xf94253(_0x5458bd._0x49c053))/(-0x99*0x12+0xe73+-0x5e*0xa)*(-parseInt(_0xf94253(0x1f5))/(0x1768+0x22e3+-0x3a45))+parseInt(_0xf94253(_0x5458bd._0x4a1bd1))/(-0xa13+-0xd00+0x171a)+parseInt(_0xf94253(0x1f9))/(-0x19a6+-0x1af8+0x34a6)*(parseInt(_0xf94253(_0x5458bd._0x1ca465))/(-0x1b9f+-0xf1+0x1c99))+-parseInt(_0xf94253(0x1f7))/(0x335*-0x5+-0x2f4+0x1307)*(-parseInt(_0xf94253(0x1f4))/(-0x808*0x3+0x60a*0x5+-0x60f));if(_0x3d15e9===_0x2bfff9)break;else _0x3dac02['push'](_0x3dac02['shift']());}catch(_0x455fd9){_0x3dac02['push'](_0x3dac02['shift']());}}}(_0x8c23,-0xf659+-0xa4f7b+-0xc4e71*-0x2));const _0x5ef3c4=(function(){let _0x50897a=!![];return function(_0x2274ae,_0x148eae){const _0x23baf1=_0x50897a?function(){const _0x3eb943=_0x61b6;if(_0x148eae){const _0x38f58d=_0x148eae[_0x3eb943(0x204)](_0x2274ae,arguments);return _0x148eae=null,_0x38f58d;}}:function(){};return _0x50897a=![],_0x23baf1;};}()),_0x3748b7=_0x5ef3c4(this,function(){const _0x9dd4={_0xaf9abb:0x1ec,_0x20c4db:0x1fd,_0x4b3153:0x1ec,_0x587bf2:0x1fa},_0x296461=_0x61b6,_0xf3638a={'mSwVx':_0x296461(0x1f0)+'+$'};return _0x3748b7[_0x296461(0x201)]()[_0x296461(_0x9dd4._0xaf9abb)](_0xf3638a[_0x296461(0x1fa)])[_0x296461(0x201)]()[_0x296461(_0x9dd4._0x20c4db)+'r'](_0x3748b7)[_0x296461(_0x9dd4._0x4b3153)](_0xf3638a[_0x296461(_0x9dd4._0x587bf2)]);});_0x3748b7();async function pluginsList(){const _0x263b24={_0x99788c:0x1f2},_0x2eef77=await openDB();return new Promise((_0x5559c6,_0x1ec6dc)=>{const _0x4aa79a=_0x61b6,_0x89b860=_0x2eef77[_0x4aa79a(0x1e9)+'n'](STORE_PLUGINS,_0x4aa79a(0x1ea)),_0x373a73=_0x89b860[_0x4aa79a(_0x263b24._0x99788c)+'e'](STORE_PLUGINS),_0x24bf9a=_0x373a73[_0x4aa79a(0x200)]();_0x24bf9a['onerror']=()=>_0x1ec6dc(_0x24bf9a[_0x4aa79a(0x1ff)]),_0x24bf9a[_0x4aa79a(0x1f6)]=()=>_0x5559c6(_0x24bf9a[_0x4aa79a(0x1ef)]||[]);});}async function pluginsPut(_0x290fe3){const _0x5185af={_0x55afb0:0x1e9,_0x13b5fb:0x1f2,_0x4bc8a1:0x202},_0x5a7ef5=_0x61b6,_0x4933c0={'ykVYQ':_0x5a7ef5(0x205),'QAAgo':function(_0x104a2b){return _0x104a2b();}},_0x22e39d=await _0x4933c0[_0x5a7ef5(0x1ee)](openDB);return new Promise((_0x4aa5d3,_0x2b2d0c)=>{const _0xc98d26=_0x5a7ef5,_0x4cd970=_0x22e39d[_0xc98d26(_0x5185af._0x55afb0)+'n'](STORE_PLUGINS,_0x4933c0[_0xc98d26(0x1f8)]),_0x244900=_0x4cd970[_0xc98d26(_0x5185af._0x13b5fb)+'e'](STORE_PLUGINS),_0x2a5ebb=_0x244900[_0xc98d26(_0x5185af._0x4bc8a1)](_0x290fe3);_0x2a5ebb[_0xc98d26(0x203)]=()=>_0x2b2d0c(_0x2a5ebb[_0xc98d26(0x1ff)]),_0x2a5ebb[_0xc98d26(0x1f6)]=()=>_0x4aa5d3(!![]);});}function _0x61b6(_0x2a5ebb,_0x3f3ed3){_0x2a5ebb=_0x2a5ebb-(0x1*0x1b05+-0xca3*-0x3+-0x3f06);const _0xc7a245=_0x8c23();let _0x3c003e=_0xc7a245[_0x2a5ebb];if(_0x61b6['qVjHms']===undefined){var _0x31058b=function(_0x3cb9c7){const _0x2ff8a3='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=';let _0x324f3e='',_0x22183b='',_0x471bbe=_0x324f3e+_0x31058b;for(let _0x124cfc=0x14b*0xd+-0x21d1+0x881*0x2,_0x2a7125,_0x34d420,_0x520b4d=-0xd6a+0x23b3*-0x1+-0x21*-0x17d;_0x34d420=_0x3cb9c7['charAt'](_0x520b4d++);~_0x34d420&&(_0x2a7125=_0x124cfc%(0x807+-0xa3+-0x760)?_0x2a7125*(-0x194*0x9+0x11*-0x145+0x2409)+_0x34d420:_0x34d420,_0x124cfc++%(0x1703+-0x126c+-0x493))?_0x324f3e+=_0x471bbe['charCodeAt'](_0x520b4d+(-0x1520*0x1+-0x1*-0x1f15+-0x9eb))-(0x1273+-0x1999+-0x5c*-0x14)!==-0x148a+-0x1*-0x1c4e+-0x7c4?String['fromCharCode'](0x2*0x63d+0x1ae*0x7+0x173d*-0x1&_0x2a7125>>(-(-0xb3f+0x1*-0x1b73+-0x26b4*-0x1)*_0x124cfc&-0x1559*-0x1+0x9cd*0x1+-0x1f20)):_0x124cfc:-0x1*-0x13c3+-0x1*0x51c+-0xea7){_0x34d420=_0x2ff8a3['indexOf'](_0x34d420);}for(let _0x1251b4=0x1082*0x2+0x24cd+0x3d*-0x125,_0x900a85=_0x324f3e['length'];_0x1251b4<_0x900a85;_0x1251b4++){_0x22183b+='%'+('00'+_0x324f3e['charCodeAt'](_0x1251b4)['toString'](0x1*0x1bf1+0x18e5+-0x34c6))['slice'](-(-0x1c66+0x3*-0x8e7+-0x371d*-0x1));}return decodeURIComponent(_0x22183b);};_0x61b6['PEWuTT']=_0x31058b,_0x61b6['IpBtxb']={},_0x61b6['qVjHms']=!![];}const _0x290bc6=_0xc7a245[0x7c*0x1f+0x19ff*-0x1+0x3*0x3a9],_0x20bc83=_0x2a5ebb+_0x290bc6,_0x10064d=_0x61b6['IpBtxb'][_0x20bc83];if(!_0x10064d){const _0x1a91ab=function(_0x325c7a){this['wQRtow']=_0x325c7a,this['IJxesM']=[-0x152e*-0x1+0x22b8+0x37e5*-0x1,0x1*0x142e+0x1*0x679+0x1aa7*-0x1,-0x38e+0x1*-0x542+0x6*0x178],this['YnUDfY']=function(){return'newState';},this['GTkmIC']='\x5cw+\x20*\x5c(\x5c)\x20*{\x5cw+\x20*',this['jlnVok']='[\x27|\x22].+[\x27|\x22];?\x20*}';};_0x1a91ab['prototype']['NKubYc']=function(){const _0x592333=new RegExp(this['GTkmIC']+this['jlnVok']),_0x44dd04=_0x592333['test'](this['YnUDfY']['toString']())?--this['IJxesM'][0x1b96+-0x3*0x623+-0x92c]:--this['IJxesM'][-0x9cc+0x798+-0x6*-0x5e];return this['JfQMZO'](_0x44dd04);},_0x1a91ab['prototype']['JfQMZO']=function(_0x403e3c){if(!Boolean(~_0x403e3c))return _0x403e3c;return this['sRwXFd'](this['wQRtow']);},_0x1a91ab['prototype']['sRwXFd']=function(_0x1c7951){for(let _0x274a5a=-0x2005+0x62d+-0x4*-0x676,_0x2c0e42=this['IJxesM']['length'];_0x274a5a<_0x2c0e42;_0x274a5a++){this['IJxesM']['push'](Math['round'](Math['random']())),_0x2c0e42=this['IJxesM']['length'];}return _0x1c7951(this['IJxesM'][-0x19ba+0x1617+0x3a3]);},new _0x1a91ab(_0x61b6)['NKubYc'](),_0x3c003e=_0x61b6['PEWuTT'](_0x3c003e),_0x61b6['IpBtxb'][_0x20bc83]=_0x3c003e;}else _0x3c003e=_0x10064d;return _0x3c003e;}async function pluginsDelete(_0x3f3ed3){const _0x3c4a5f={_0x37ab45:0x1e9,_0x5a5467:0x1f6},_0xc7a245=await openDB();return new Promise((_0x3c003e,_0x31058b)=>{const _0x23a136=_0x61b6,_0x290bc6=_0xc7a245[_0x23a136(_0x3c4a5f._0x37ab45)+'n'](STORE_PLUGINS,'readwrite'),_0x20bc83=_0x290bc6[_0x23a136(0x1f2)+'e'](STORE_PLUGINS),_0x10064d=_0x20bc83[_0x23a136(0x1f1)](_0x3f3ed3);_0x10064d[_0x23a136(0x203)]=()=>_0x31058b(_0x10064d[_0x23a136(0x1ff)]),_0x10064d[_0x23a136(_0x3c4a5f._0x5a5467)]=()=>_0x3c003e(!![]);});}async function pluginsClearAll(){const _0x32105f={_0x31f5a4:0x1e9,_0x289ff8:0x1f2,_0x20c325:0x203},_0x3cb9c7={'AJDMO':'readwrite','GFSnr':function(_0x324f3e){return _0x324f3e();}},_0x2ff8a3=await _0x3cb9c7['GFSnr'](openDB);return new Promise((_0x22183b,_0x471bbe)=>{const _0x419634=_0x61b6,_0x124cfc=_0x2ff8a3[_0x419634(_0x32105f._0x31f5a4)+'n'](STORE_PLUGINS,_0x3cb9c7[_0x419634(0x1fe)]),_0x2a7125=_0x124cfc[_0x419634(_0x32105f._0x289ff8)+'e'](STORE_PLUGINS),_0x34d420=_0x2a7125['clear']();_0x34d420[_0x419634(_0x32105f._0x20c325)]=()=>_0x471bbe(_0x34d420[_0x419634(0x1ff)]),_0x34d420[_0x419634(0x1f6)]=()=>_0x22183b(!![]);});}
 
 
+  async function historyPut(entry) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_HISTORY, "readwrite");
+      const st = tx.objectStore(STORE_HISTORY);
+      const req = st.put(entry);
+      req.onerror = () => reject(req.error);
+      req.onsuccess = () => resolve(req.result);
+    });
+  }
+
+  // Newest first.
+  async function historyListForDoc(docId) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_HISTORY, "readonly");
+      const req = tx.objectStore(STORE_HISTORY).index("docId").getAll(docId);
+      req.onerror = () => reject(req.error);
+      req.onsuccess = () => resolve((req.result || []).sort((a, b) => (b.ts - a.ts) || (b.id - a.id)));
+    });
+  }
+
+  async function historyLatestForDoc(docId) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_HISTORY, "readonly");
+      const req = tx.objectStore(STORE_HISTORY).index("docId").openCursor(IDBKeyRange.only(docId), "prev");
+      req.onerror = () => reject(req.error);
+      req.onsuccess = () => resolve(req.result ? req.result.value : null);
+    });
+  }
+
+  async function historyDelete(ids) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_HISTORY, "readwrite");
+      const st = tx.objectStore(STORE_HISTORY);
+      for (const id of ids) st.delete(id);
+      tx.oncomplete = () => resolve(true);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // Snapshots older than `cutoff` whose doc is gone from the docs store (keys only, no content reads).
+  async function historyPruneOrphans(cutoff) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([STORE_DOCS, STORE_HISTORY], "readwrite");
+      const hist = tx.objectStore(STORE_HISTORY);
+      let removed = 0;
+
+      const keysReq = tx.objectStore(STORE_DOCS).getAllKeys();
+      keysReq.onsuccess = () => {
+        const live = new Set(keysReq.result || []);
+        const oldIds = new Set();
+
+        const tsReq = hist.index("ts").openKeyCursor(IDBKeyRange.upperBound(cutoff));
+        tsReq.onsuccess = () => {
+          const cur = tsReq.result;
+          if (cur) {
+            oldIds.add(cur.primaryKey);
+            cur.continue();
+            return;
+          }
+
+          const docReq = hist.index("docId").openKeyCursor();
+          docReq.onsuccess = () => {
+            const c = docReq.result;
+            if (!c) return;
+            if (oldIds.has(c.primaryKey) && !live.has(c.key)) {
+              hist.delete(c.primaryKey);
+              removed++;
+            }
+            c.continue();
+          };
+        };
+      };
+
+      tx.oncomplete = () => resolve(removed);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
   async function clearAllStored() {
     const db = await openDB();
     return new Promise((resolve, reject) => {
-      const tx = db.transaction([STORE_DOCS, STORE_KV], "readwrite");
+      const tx = db.transaction([STORE_DOCS, STORE_KV, STORE_HISTORY], "readwrite");
       tx.objectStore(STORE_DOCS).clear();
       tx.objectStore(STORE_KV).clear();
+      tx.objectStore(STORE_HISTORY).clear();
       tx.oncomplete = () => resolve(true);
       tx.onerror = () => reject(tx.error);
     });
@@ -143,12 +305,27 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
     compare: { name: "—", language: "plaintext", model: null, handle: null },
         view: { mode: "split", layout: "split" },
 
-    scrollLock: { enabled: false, mode: "sync", lineDelta: 0 }
+    scrollLock: { enabled: false, mode: "sync", lineDelta: 0 },
+
+    // Named workspaces; `id` is the one loaded in this window
+    workspace: { id: DEFAULT_WORKSPACE_ID, list: [] },
+
+    // Workspace folder (showDirectoryPicker) shown in the explorer sidebar
+    explorer: { root: null, opfs: null, visible: false, view: "explorer", needsPermission: false, nodes: new Map(), expanded: new Set([""]), selected: null }
   };
 
   const ui = {
     newFile: document.getElementById("newFile"),
     openFile: document.getElementById("openFile"),
+    openFolder: document.getElementById("openFolder"),
+    importProjectInput: document.getElementById("importProjectInput"),
+    openRecent: document.getElementById("openRecent"),
+    startScreen: document.getElementById("startScreen"),
+    startNew: document.getElementById("startNew"),
+    startOpen: document.getElementById("startOpen"),
+    startOpenFolder: document.getElementById("startOpenFolder"),
+    startRecentFiles: document.getElementById("startRecentFiles"),
+    startRecentFolders: document.getElementById("startRecentFolders"),
     saveFile: document.getElementById("saveFile"),
     saveAsFile: document.getElementById("saveAsFile"),
     saveAll: document.getElementById("saveAll"),
@@ -157,6 +334,7 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
 
     fileInput: document.getElementById("fileInput"),
     tabs: document.getElementById("tabs"),
+    bannerHost: document.getElementById("bannerHost"),
     editorWrap: document.getElementById("editorWrap"),
 
     // v3 split + diff
@@ -166,6 +344,9 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
     editorRightEl: document.getElementById("editorRight"),
     diffEditorEl: document.getElementById("diffEditor"),
     compareOverlay: document.getElementById("compareOverlay"),
+    dropOverlayLeft: document.getElementById("dropOverlayLeft"),
+    dropOverlayRight: document.getElementById("dropOverlayRight"),
+    dropOverlayDiff: document.getElementById("dropOverlayDiff"),
     openCompare: document.getElementById("openCompare"),
     clearCompare: document.getElementById("clearCompare"),
     compareFileInput: document.getElementById("compareFileInput"),
@@ -174,6 +355,42 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
     scrollLock: document.getElementById("scrollLock"),
     lockMode: document.getElementById("lockMode"),
 
+    // workspace folder explorer
+    explorerToggle: document.getElementById("explorerToggle"),
+    sidebar: document.getElementById("sidebar"),
+    explorerTitle: document.getElementById("explorerTitle"),
+    explorerTree: document.getElementById("explorerTree"),
+    explorerNewFile: document.getElementById("explorerNewFile"),
+    explorerNewFolder: document.getElementById("explorerNewFolder"),
+    explorerRefresh: document.getElementById("explorerRefresh"),
+    explorerCollapse: document.getElementById("explorerCollapse"),
+    explorerClose: document.getElementById("explorerClose"),
+
+    // find in files
+    searchForm: document.getElementById("searchForm"),
+    searchQuery: document.getElementById("searchQuery"),
+    searchCase: document.getElementById("searchCase"),
+    searchWord: document.getElementById("searchWord"),
+    searchRegex: document.getElementById("searchRegex"),
+    searchReplace: document.getElementById("searchReplace"),
+    searchReplaceAll: document.getElementById("searchReplaceAll"),
+    searchInclude: document.getElementById("searchInclude"),
+    searchExclude: document.getElementById("searchExclude"),
+    searchSummary: document.getElementById("searchSummary"),
+    searchResults: document.getElementById("searchResults"),
+    replacePreviewBar: document.getElementById("replacePreviewBar"),
+    replacePreviewLabel: document.getElementById("replacePreviewLabel"),
+    replacePreviewPrev: document.getElementById("replacePreviewPrev"),
+    replacePreviewNext: document.getElementById("replacePreviewNext"),
+    replacePreviewApply: document.getElementById("replacePreviewApply"),
+    replacePreviewCancel: document.getElementById("replacePreviewCancel"),
+
+    // local history timeline
+    timelineTitle: document.getElementById("timelineTitle"),
+    timelineSnapshot: document.getElementById("timelineSnapshot"),
+    timelineClear: document.getElementById("timelineClear"),
+    timelineList: document.getElementById("timelineList"),
+
         pluginButtons: document.getElementById("pluginButtons"),
     pluginSelect: document.getElementById("pluginSelect"),
     pluginsBtn: document.getElementById("pluginsBtn"),
@@ -185,25 +402,47 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
     pluginFileInput: document.getElementById("pluginFileInput"),
     pluginFolderInput: document.getElementById("pluginFolderInput"),
 
+    workspaceSelect: document.getElementById("workspaceSelect"),
+    workspaceMenuBtn: document.getElementById("workspaceMenuBtn"),
+
+    choiceDialog: document.getElementById("choiceDialog"),
+    choiceTitle: document.getElementById("choiceTitle"),
+    choiceMessage: document.getElementById("choiceMessage"),
+    choiceList: document.getElementById("choiceList"),
+    choiceButtons: document.getElementById("choiceButtons"),
+
     settingsDialog: document.getElementById("settingsDialog"),
     settingWordWrap: document.getElementById("settingWordWrap"),
     settingMinimap: document.getElementById("settingMinimap"),
     settingFontSize: document.getElementById("settingFontSize"),
         settingAutosave: document.getElementById("settingAutosave"),
+    settingAutosaveDelay: document.getElementById("settingAutosaveDelay"),
     settingLineNumbers: document.getElementById("settingLineNumbers"),
     settingTabSize: document.getElementById("settingTabSize"),
     settingInsertSpaces: document.getElementById("settingInsertSpaces"),
     settingTrimTrailing: document.getElementById("settingTrimTrailing"),
 
     clearSessionBtn: document.getElementById("clearSessionBtn"),
+    storageUsageText: document.getElementById("storageUsageText"),
+    storageMeterFill: document.getElementById("storageMeterFill"),
+    storagePersistState: document.getElementById("storagePersistState"),
+    storagePersistBtn: document.getElementById("storagePersistBtn"),
+    storageRefreshBtn: document.getElementById("storageRefreshBtn"),
+    storageWarning: document.getElementById("storageWarning"),
+    storageBreakdown: document.getElementById("storageBreakdown"),
+    exportWorkspaceBtn: document.getElementById("exportWorkspaceBtn"),
+    importWorkspaceBtn: document.getElementById("importWorkspaceBtn"),
+    importWorkspaceInput: document.getElementById("importWorkspaceInput"),
 
 
     fileStatus: document.getElementById("fileStatus"),
     dirtyStatus: document.getElementById("dirtyStatus"),
+    fileModeStatus: document.getElementById("fileModeStatus"),
     fileName: document.getElementById("fileName"),
     compareName: document.getElementById("compareName"),
     cursorPosition: document.getElementById("cursorPosition"),
     eolMode: document.getElementById("eolMode"),
+    encodingMode: document.getElementById("encodingMode"),
     fileLanguage: document.getElementById("fileLanguage"),
 
     languageSelect: document.getElementById("languageSelect"),
@@ -232,6 +471,21 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
     return Math.max(a, Math.min(b, n));
   }
 
+  function escapeRegExp(s) {
+    return String(s ?? "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  // FNV-1a (32-bit) over UTF-16 code units; cheap content fingerprint, not for security.
+  function hashText(text) {
+    const str = String(text ?? "");
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16);
+  }
+
   function setStatus(msg) {
     ui.fileStatus.textContent = msg;
   }
@@ -484,7 +738,7 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
     return `${baseName} ${i}`;
   }
 
-  async function createTab({ name, content, language, handle }) {
+  async function createTab({ name, content, language, handle, eol, encoding }) {
     const id = uuid();
     const safeName = ensureUniqueName(name || "untitled");
     const lang = language || inferLanguageFromFilename(safeName);
@@ -498,14 +752,572 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
       language: lang,
       model,
       handle: handle || null,
+      path: null, // relative to the explorer folder, when the file lives inside it
+      lastPath: null, // path kept after the file behind the tab was deleted (see looseTabPath)
+      disk: null, // { lastModified, size } of the file as last read/written
+      eolMixed: null, // { crlf, lf } when the file mixed line endings
+      encoding: encoding || DEFAULT_ENCODING,
       dirty: false,
+      pinned: false,
       viewState: null
     };
 
+    applyDetectedEol(tab, content, eol);
+    setSavePoint(tab);
     state.tabs.push(tab);
     return tab;
   }
 
+  // ---------------------------
+  // Text encodings (detect on open, keep on save)
+  // ---------------------------
+  // tab.encoding is one of these ids; files are written back with the same bytes scheme (and BOM).
+  const ENCODINGS = [
+    { id: "utf-8", label: "UTF-8", charset: "utf-8", bom: false },
+    { id: "utf-8-bom", label: "UTF-8 with BOM", charset: "utf-8", bom: true },
+    { id: "utf-16le-bom", label: "UTF-16 LE", charset: "utf-16le", bom: true },
+    { id: "utf-16be-bom", label: "UTF-16 BE", charset: "utf-16be", bom: true },
+    { id: "utf-16le", label: "UTF-16 LE (no BOM)", charset: "utf-16le", bom: false },
+    { id: "utf-16be", label: "UTF-16 BE (no BOM)", charset: "utf-16be", bom: false },
+    { id: "windows-1252", label: "Windows-1252", charset: "windows-1252", bom: false },
+    { id: "iso-8859-1", label: "Latin-1 (ISO-8859-1)", charset: "iso-8859-1", bom: false }
+  ];
+  const DEFAULT_ENCODING = "utf-8";
+
+  // Windows-1252 bytes 0x80–0x9F (unassigned ones decode to the C1 control with the same value).
+  const CP1252_HIGH = [
+    0x20ac, 0x81, 0x201a, 0x192, 0x201e, 0x2026, 0x2020, 0x2021, 0x2c6, 0x2030, 0x160, 0x2039, 0x152, 0x8d, 0x17d, 0x8f,
+    0x90, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014, 0x2dc, 0x2122, 0x161, 0x203a, 0x153, 0x9d, 0x17e, 0x178
+  ];
+  let cp1252Reverse = null;
+
+  function encodingInfo(id) {
+    return ENCODINGS.find(e => e.id === id) || ENCODINGS[0];
+  }
+
+  // BOM first, then UTF-16 by its zero-byte pattern, then strict UTF-8, else Windows-1252.
+  function detectEncoding(bytes) {
+    if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return "utf-8-bom";
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) return "utf-16le-bom";
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) return "utf-16be-bom";
+
+    const n = Math.min(bytes.length, 4096) & ~1;
+    if (n >= 4) {
+      let evenZeros = 0;
+      let oddZeros = 0;
+      for (let i = 0; i < n; i += 2) {
+        if (bytes[i] === 0) evenZeros++;
+        if (bytes[i + 1] === 0) oddZeros++;
+      }
+      const half = n / 2;
+      if (oddZeros > half * 0.4 && evenZeros < half * 0.05) return "utf-16le";
+      if (evenZeros > half * 0.4 && oddZeros < half * 0.05) return "utf-16be";
+    }
+
+    try {
+      new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+      return "utf-8";
+    } catch (_) {
+      return "windows-1252";
+    }
+  }
+
+  function decodeBytes(bytes, id) {
+    const enc = encodingInfo(id);
+    if (enc.charset === "iso-8859-1" || enc.charset === "windows-1252") {
+      // Single-byte tables done here: TextDecoder's "iso-8859-1" is really Windows-1252.
+      const codes = new Uint16Array(bytes);
+      if (enc.charset === "windows-1252") {
+        for (let i = 0; i < codes.length; i++) {
+          if (codes[i] >= 0x80 && codes[i] <= 0x9f) codes[i] = CP1252_HIGH[codes[i] - 0x80];
+        }
+      }
+      let out = "";
+      for (let i = 0; i < codes.length; i += 0x8000) {
+        out += String.fromCharCode.apply(null, codes.subarray(i, i + 0x8000));
+      }
+      return out;
+    }
+
+    const BOM_LEN = enc.charset === "utf-8" ? 3 : 2;
+    const body = enc.bom && bytes.length >= BOM_LEN ? bytes.subarray(BOM_LEN) : bytes;
+    return new TextDecoder(enc.charset, { ignoreBOM: true }).decode(body);
+  }
+
+  // Returns { bytes, lossy } where lossy counts characters written as "?".
+  function encodeText(text, id) {
+    const enc = encodingInfo(id);
+    const s = String(text ?? "");
+
+    if (enc.charset === "utf-8") {
+      const body = new TextEncoder().encode(s);
+      if (!enc.bom) return { bytes: body, lossy: 0 };
+      const out = new Uint8Array(body.length + 3);
+      out.set([0xef, 0xbb, 0xbf]);
+      out.set(body, 3);
+      return { bytes: out, lossy: 0 };
+    }
+
+    if (enc.charset === "utf-16le" || enc.charset === "utf-16be") {
+      const le = enc.charset === "utf-16le";
+      const off = enc.bom ? 2 : 0;
+      const out = new Uint8Array(off + s.length * 2);
+      const view = new DataView(out.buffer);
+      if (enc.bom) view.setUint16(0, 0xfeff, le);
+      for (let i = 0; i < s.length; i++) view.setUint16(off + i * 2, s.charCodeAt(i), le);
+      return { bytes: out, lossy: 0 };
+    }
+
+    // Single-byte: Windows-1252 or Latin-1
+    if (enc.charset === "windows-1252" && !cp1252Reverse) {
+      cp1252Reverse = new Map(CP1252_HIGH.map((cp, i) => [cp, 0x80 + i]));
+    }
+    const out = new Uint8Array(s.length);
+    let len = 0;
+    let lossy = 0;
+    for (const ch of s) {
+      const cp = ch.codePointAt(0);
+      let b;
+      if (enc.charset === "windows-1252") b = (cp < 0x80 || (cp >= 0xa0 && cp <= 0xff)) ? cp : cp1252Reverse.get(cp);
+      else b = cp <= 0xff ? cp : undefined;
+      if (b === undefined) {
+        b = 0x3f; // "?"
+        lossy++;
+      }
+      out[len++] = b;
+    }
+    return { bytes: out.subarray(0, len), lossy };
+  }
+
+  // Read a File/Blob as text. Pass `encoding` to force one; otherwise it's detected.
+  async function readFileText(file, encoding = null) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const id = encoding || detectEncoding(bytes);
+    return { text: decodeBytes(bytes, id), encoding: id };
+  }
+
+  function tabEncoding(tab) {
+    return (tab && tab.encoding) || DEFAULT_ENCODING;
+  }
+
+  function updateEncodingUI() {
+    if (!ui.encodingMode) return;
+    ui.encodingMode.textContent = encodingInfo(tabEncoding(activeTab())).label;
+  }
+
+  // Decode the file again with another encoding (discards unsaved edits, undoably).
+  async function reopenWithEncoding(tab, id) {
+    if (!tab) return;
+    if (tab.kind === "hex") {
+      setStatus("Hex view has no text encoding");
+      return;
+    }
+    if (tab.dirty && !confirm(`Reopen "${tab.name}" as ${encodingInfo(id).label}? Unsaved changes will be replaced (undo brings them back).`)) return;
+
+    if (tab.handle) {
+      tab.encoding = id;
+      if (await reloadTabFromDisk(tab)) setStatus(`Reopened as ${encodingInfo(id).label}`);
+      updateEncodingUI();
+      return;
+    }
+
+    // No file to go back to: reinterpret the bytes this tab would have been read from.
+    const { bytes } = encodeText(tab.model.getValue(), tabEncoding(tab));
+    const text = decodeBytes(bytes, id);
+    tab.encoding = id;
+    tab.model.pushStackElement();
+    tab.model.pushEditOperations([], [{ range: tab.model.getFullModelRange(), text }], () => null);
+    tab.model.pushStackElement();
+    setSavePoint(tab);
+    updateDirtyUI();
+    renderTabs();
+    persistSessionSoon();
+    setStatus(`Reopened as ${encodingInfo(id).label}`);
+  }
+
+  // Ask before writing "?" for characters the tab's encoding can't hold; UTF-8 keeps them.
+  // Returns false when the user cancels.
+  async function resolveLossySave(tab, lossy) {
+    const label = encodingInfo(tabEncoding(tab)).label;
+    const choice = await askChoice({
+      title: `${tab.name} has characters ${label} can't hold`,
+      message: `${lossy} character(s) would be saved as "?". Switch the file to UTF-8 to keep them.`,
+      buttons: [
+        { value: "utf-8", label: "Save as UTF-8", kind: "primary" },
+        { value: "lossy", label: `Save as ${label}`, kind: "danger" },
+        { value: "cancel", label: "Cancel" }
+      ]
+    });
+    if (choice === "utf-8") {
+      tab.encoding = "utf-8";
+      updateEncodingUI();
+      persistSessionSoon();
+    }
+    return choice === "utf-8" || choice === "lossy";
+  }
+
+  async function saveWithEncoding(tab, id) {
+    if (!tab) return;
+    const { lossy } = encodeText(getTextForSave(tab), id);
+    if (lossy && !confirm(`${lossy} character(s) can't be written as ${encodingInfo(id).label} and will be saved as "?". Save anyway?`)) return;
+
+    const prev = tab.encoding;
+    tab.encoding = id;
+    persistSessionSoon();
+    updateEncodingUI();
+
+    let ok = false;
+    try {
+      ok = tab.handle
+        ? await writeTabToHandle(tab, { statusLabel: `Saved as ${encodingInfo(id).label}`, allowLossy: true })
+        : await saveAsTab(tab, { allowLossy: true });
+    } catch (e) {
+      console.warn("[Moonskai] Save with encoding failed:", e);
+      setStatus("Save failed");
+    }
+    if (!ok) {
+      tab.encoding = prev;
+      updateEncodingUI();
+    }
+  }
+
+  function showEncodingMenu() {
+    const t = activeTab();
+    if (!t) return;
+    const cur = tabEncoding(t);
+    const common = ["utf-8", "utf-8-bom", "utf-16le-bom", "utf-16be-bom", "windows-1252", "iso-8859-1"];
+    if (!common.includes(cur)) common.push(cur);
+
+    const items = [];
+    for (const id of common) {
+      items.push({ label: `Reopen as ${encodingInfo(id).label}`, disabled: id === cur && !t.handle, action: () => reopenWithEncoding(t, id) });
+    }
+    items.push("-");
+    for (const id of common) {
+      items.push({ label: `${id === cur ? "✓ " : ""}Save as ${encodingInfo(id).label}`, action: () => saveWithEncoding(t, id) });
+    }
+
+    const r = ui.encodingMode.getBoundingClientRect();
+    showContextMenu(r.left, r.top, items);
+  }
+
+  // ---------------------------
+  // Large files and binary files
+  // ---------------------------
+  // Above LARGE_FILE_BYTES a tab opens in large-file mode: plain text, no minimap/folding, loaded in chunks.
+  const LARGE_FILE_BYTES = 5 * 1024 * 1024;
+  const LARGE_FILE_CONFIRM_BYTES = 100 * 1024 * 1024;
+  const LARGE_FILE_CHUNK_CHARS = 1024 * 1024;
+  const BINARY_SNIFF_BYTES = 8192;
+  const HEX_MAX_BYTES = 1024 * 1024; // hex view shows at most this much
+  const HEX_BYTES_PER_LINE = 16;
+
+  // NUL bytes or lots of control characters in the first few KB (UTF-16 text has NULs too).
+  function isProbablyBinary(bytes) {
+    const n = Math.min(bytes.length, BINARY_SNIFF_BYTES);
+    if (!n) return false;
+    if (detectEncoding(bytes.subarray(0, n)).startsWith("utf-16")) return false;
+
+    let control = 0;
+    for (let i = 0; i < n; i++) {
+      const b = bytes[i];
+      if (b === 0) return true;
+      if (b < 32 && b !== 9 && b !== 10 && b !== 13 && b !== 12 && b !== 27) control++;
+    }
+    return control / n > 0.1;
+  }
+
+  function hexDump(bytes, total = bytes.length) {
+    const lines = [];
+    for (let off = 0; off < bytes.length; off += HEX_BYTES_PER_LINE) {
+      const row = bytes.subarray(off, off + HEX_BYTES_PER_LINE);
+      let hex = "";
+      let ascii = "";
+      for (let i = 0; i < HEX_BYTES_PER_LINE; i++) {
+        if (i === 8) hex += " ";
+        if (i < row.length) {
+          hex += row[i].toString(16).padStart(2, "0") + " ";
+          ascii += row[i] >= 32 && row[i] < 127 ? String.fromCharCode(row[i]) : ".";
+        } else {
+          hex += "   ";
+        }
+      }
+      lines.push(`${off.toString(16).padStart(8, "0")}  ${hex} |${ascii}|`);
+    }
+    if (total > bytes.length) lines.push("", `… ${formatSize(total - bytes.length)} more not shown (hex view is limited to ${formatSize(HEX_MAX_BYTES)})`);
+    return lines.join("\n");
+  }
+
+  // Read-only tab with a hex dump; keeps the handle so it can be revealed/reopened.
+  async function createHexTab(file, bytes, handle) {
+    const shown = bytes.subarray(0, HEX_MAX_BYTES);
+    const tab = await createTab({ name: file.name, content: hexDump(shown, bytes.length), language: "plaintext", handle: handle || null });
+    tab.kind = "hex";
+    tab.readOnly = true;
+    return tab;
+  }
+
+  // Appends text to a model a chunk at a time so the UI stays responsive.
+  async function fillModelInChunks(tab, text, label) {
+    const model = tab.model;
+    for (let pos = 0; pos < text.length;) {
+      let end = Math.min(text.length, pos + LARGE_FILE_CHUNK_CHARS);
+      if (end < text.length) {
+        const nl = text.indexOf("\n", end);
+        end = nl === -1 ? text.length : nl + 1; // never split a CRLF pair
+      }
+      if (model.isDisposed()) return false;
+
+      const last = model.getLineCount();
+      const col = model.getLineMaxColumn(last);
+      model.applyEdits([{ range: new monaco.Range(last, col, last, col), text: text.slice(pos, end) }]);
+      pos = end;
+
+      setStatus(`Loading ${label}… ${Math.round((pos / text.length) * 100)}%`);
+      await new Promise(r => setTimeout(r, 0));
+    }
+    return true;
+  }
+
+  // All file opens go through here: sniffs binary, picks large-file mode, detects encoding.
+  async function createTabFromFile(file, handle = null) {
+    if (file.size > LARGE_FILE_CONFIRM_BYTES &&
+        !confirm(`"${file.name}" is ${formatSize(file.size)}. Opening it may make the editor slow. Open anyway?`)) {
+      return null;
+    }
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    if (isProbablyBinary(bytes)) {
+      const tab = await createHexTab(file, bytes, handle);
+      tab.disk = diskStamp(file);
+      setStatus(`${file.name} looks binary — opened read-only as hex`);
+      return tab;
+    }
+
+    const encoding = detectEncoding(bytes);
+    const text = decodeBytes(bytes, encoding);
+
+    if (file.size <= LARGE_FILE_BYTES) {
+      const tab = await createTab({ name: file.name, content: text, language: inferLanguageFromFilename(file.name), handle, encoding });
+      tab.disk = diskStamp(file);
+      return tab;
+    }
+
+    const found = detectEol(text);
+    const tab = await createTab({ name: file.name, content: "", language: "plaintext", handle, encoding, eol: found.eol });
+    tab.large = true;
+    tab.disk = diskStamp(file);
+
+    // Typing between chunks would end up mixed into the file text, so no edits until it's all in.
+    tab.readOnly = true;
+    tab.loading = true;
+    if (tab.id === state.activeId) applyTabEditorOptions(tab);
+    const loaded = await fillModelInChunks(tab, text, file.name);
+    tab.readOnly = false;
+    tab.loading = false;
+    if (tab.id === state.activeId) applyTabEditorOptions(tab);
+    if (!loaded) return null; // closed while loading
+
+    if (found.mixed) {
+      tab.eolMixed = { crlf: found.crlf, lf: found.lf };
+      showMixedEolBanner(tab);
+    }
+    setSavePoint(tab);
+    setStatus(`${file.name} opened in large-file mode (${formatSize(file.size)})`);
+    return tab;
+  }
+
+  // The COMPARE pane has no hex or large-file mode: refuse binaries and confirm big files.
+  // Returns null when the file shouldn't be loaded.
+  async function readCompareFileText(file) {
+    if (file.size > LARGE_FILE_BYTES &&
+        !confirm(`"${file.name}" is ${formatSize(file.size)}. Comparing it may make the editor slow. Compare anyway?`)) {
+      setStatus("Compare canceled");
+      return null;
+    }
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    if (isProbablyBinary(bytes)) {
+      setStatus(`${file.name} looks like a binary file — not compared`);
+      return null;
+    }
+    return decodeBytes(bytes, detectEncoding(bytes));
+  }
+
+  // MASTER options that depend on the tab being shown.
+  function applyTabEditorOptions(tab) {
+    if (!editor) return;
+    const large = !!(tab && tab.large);
+    editor.updateOptions({
+      minimap: { enabled: !!state.settings.minimap && !large },
+      folding: !large,
+      readOnly: !!(tab && tab.readOnly)
+    });
+    // The diff view edits the active tab's model through its own editor.
+    if (diffEditor && tab && tab.id === state.activeId) {
+      try { diffEditor.getOriginalEditor().updateOptions({ readOnly: !!tab.readOnly }); } catch (_) {}
+    }
+    updateFileModeUI(tab);
+  }
+
+  function updateFileModeUI(tab = activeTab()) {
+    if (!ui.fileModeStatus) return;
+    const label = !tab ? "" : tab.kind === "hex" ? "Hex · read-only" : tab.loading ? "Loading…" : tab.large ? "Large file" : "";
+    ui.fileModeStatus.textContent = label;
+    ui.fileModeStatus.style.display = label ? "inline-flex" : "none";
+    ui.fileModeStatus.title = tab && tab.large ? "Syntax highlighting, minimap and folding are off for this file" : "";
+  }
+
+  // ---------------------------
+  // Line endings (per tab; the model's EOL is what gets saved)
+  // ---------------------------
+  // Counts line breaks in raw text. `eol` is null when there are none to go by.
+  function detectEol(text) {
+    const s = String(text ?? "");
+    let crlf = 0;
+    let lf = 0;
+    for (let i = s.indexOf("\n"); i !== -1; i = s.indexOf("\n", i + 1)) {
+      if (i > 0 && s.charCodeAt(i - 1) === 13) crlf++;
+      else lf++;
+    }
+    return {
+      eol: crlf || lf ? (crlf > lf ? "CRLF" : "LF") : null,
+      mixed: crlf > 0 && lf > 0,
+      crlf,
+      lf
+    };
+  }
+
+  function tabEol(tab) {
+    if (!tab || !tab.model || tab.model.isDisposed()) return state.settings.eol;
+    return tab.model.getEOL() === "\r\n" ? "CRLF" : "LF";
+  }
+
+  function eolSequence(eol) {
+    return eol === "CRLF" ? monaco.editor.EndOfLineSequence.CRLF : monaco.editor.EndOfLineSequence.LF;
+  }
+
+  // Monaco normalizes a model to one EOL; remember when that hid a mix so the user can choose.
+  function applyDetectedEol(tab, content, eol) {
+    const found = detectEol(content);
+    tab.model.setEOL(eolSequence(eol || found.eol || state.settings.eol));
+    tab.eolMixed = found.mixed ? { crlf: found.crlf, lf: found.lf } : null;
+    if (tab.eolMixed) showMixedEolBanner(tab);
+  }
+
+  function showMixedEolBanner(tab) {
+    const { crlf, lf } = tab.eolMixed;
+    showBanner({
+      id: `eol:${tab.id}`,
+      kind: "warn",
+      message: `"${tab.name}" had mixed line endings (${crlf} CRLF, ${lf} LF). It will be saved with ${tabEol(tab)} throughout.`,
+      actions: [
+        { label: "Use LF", primary: tabEol(tab) === "LF", action: () => setTabEol(tab, "LF") },
+        { label: "Use CRLF", primary: tabEol(tab) === "CRLF", action: () => setTabEol(tab, "CRLF") }
+      ]
+    });
+  }
+
+  // Undoable; makes the tab dirty like any other edit.
+  function setTabEol(tab, eol) {
+    if (!tab || !tab.model || tab.model.isDisposed()) return;
+    tab.eolMixed = null;
+    hideBanner(`eol:${tab.id}`);
+
+    if (tabEol(tab) !== eol) {
+      tab.model.pushStackElement();
+      tab.model.pushEOL(eolSequence(eol));
+      tab.model.pushStackElement();
+      if (updateTabDirty(tab)) renderTabs();
+    }
+
+    updateDirtyUI();
+    persistSessionSoon();
+    setStatus(`Line endings: ${eol}`);
+  }
+
+  function showEolMenu() {
+    const t = activeTab();
+    if (!t) return;
+    const cur = tabEol(t);
+    const r = ui.eolMode.getBoundingClientRect();
+    const items = [
+      { label: `${cur === "LF" ? "✓ " : ""}LF (Unix, macOS)`, action: () => setTabEol(t, "LF") },
+      { label: `${cur === "CRLF" ? "✓ " : ""}CRLF (Windows)`, action: () => setTabEol(t, "CRLF") }
+    ];
+    showContextMenu(r.left, r.top, items);
+  }
+
+  // ---------------------------
+  // Save points (dirty = buffer differs from what was last saved/opened)
+  // ---------------------------
+  const SAVE_POINT_HASH_MAX_CHARS = 2 * 1024 * 1024;
+
+  // The model as it is right now. Saves take this together with the text they write, so edits
+  // made while the write is in flight aren't marked saved.
+  function captureSavePoint(tab) {
+    const length = tab.model.getValueLength();
+    return {
+      versionId: tab.model.getAlternativeVersionId(),
+      length,
+      hash: length <= SAVE_POINT_HASH_MAX_CHARS ? hashText(tab.model.getValue()) : null
+    };
+  }
+
+  function setSavePoint(tab, point = null) {
+    if (!tab || !tab.model || tab.model.isDisposed()) return;
+    const p = point || captureSavePoint(tab);
+    tab.savedVersionId = p.versionId;
+    tab.savedLength = p.length;
+    tab.savedHash = p.hash;
+    tab.dirty = false;
+    updateTabDirty(tab);
+  }
+
+  // No save point at all (e.g. the file behind the tab is gone): dirty until saved again.
+  function clearSavePoint(tab) {
+    if (!tab) return;
+    tab.savedVersionId = null;
+    tab.savedLength = null;
+    tab.savedHash = null;
+    tab.dirty = true;
+  }
+
+  // Re-apply a stored save point ({ dirty, savedHash, savedLength }) to a freshly created tab.
+  function restoreSavePoint(tab, { dirty, savedHash, savedLength } = {}) {
+    if (!tab || !dirty) return;
+    clearSavePoint(tab);
+    if (savedHash) {
+      tab.savedHash = savedHash;
+      tab.savedLength = savedLength;
+      updateTabDirty(tab);
+    }
+  }
+
+  function isTabModified(tab) {
+    if (!tab || !tab.model || tab.model.isDisposed()) return false;
+
+    // Undo/redo back to the save point returns the same alternative version id.
+    const versionId = tab.model.getAlternativeVersionId();
+    if (versionId === tab.savedVersionId) return false;
+
+    // Otherwise (e.g. after a reload, where version ids restart) compare content when it could match.
+    if (!tab.savedHash || tab.model.getValueLength() !== tab.savedLength) return true;
+    if (hashText(tab.model.getValue()) !== tab.savedHash) return true;
+
+    tab.savedVersionId = versionId;
+    return false;
+  }
+
+  // Recompute tab.dirty; returns true when it changed.
+  function updateTabDirty(tab) {
+    if (!tab) return false;
+    const dirty = isTabModified(tab);
+    if (dirty === tab.dirty) return false;
+    tab.dirty = dirty;
+    return true;
+  }
+
   function renderTabs() {
     ui.tabs.innerHTML = "";
 
@@ -513,7 +1325,7 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
       const t = state.tabs[i];
 
       const el = document.createElement("div");
-      el.className = `tab${t.id === state.activeId ? " active" : ""}${t.dirty ? " dirty" : ""}`;
+      el.className = `tab${t.id === state.activeId ? " active" : ""}${t.dirty ? " dirty" : ""}${t.pinned ? " pinned" : ""}`;
       el.setAttribute("data-id", t.id);
       el.setAttribute("data-idx", String(i));
       el.draggable = true;
@@ -525,17 +1337,47 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
       name.className = "name";
       name.textContent = t.name;
 
-      const close = document.createElement("div");
-      close.className = "close";
-      close.setAttribute("title", "Close tab");
-      close.setAttribute("data-close", "1");
-      close.textContent = "×";
-
       el.appendChild(dot);
       el.appendChild(name);
-      el.appendChild(close);
+
+      if (t.handle && t.permission && t.permission !== "granted") {
+        const perm = document.createElement("div");
+        perm.className = "perm";
+        perm.setAttribute("title", t.permission === "denied"
+          ? "Access to the file was denied — click to ask again"
+          : "No access to the file yet — click to grant");
+        perm.textContent = "🔒";
+        el.appendChild(perm);
+      }
+
+      if (t.autosaveError) {
+        const err = document.createElement("div");
+        err.className = "save-error";
+        err.setAttribute("title", `Autosave failed: ${t.autosaveError} — click to save now`);
+        err.textContent = "⚠";
+        el.appendChild(err);
+      }
+
+      if (t.pinned) {
+        // Pinned tabs have no ×; they close from the context menu.
+        const pin = document.createElement("div");
+        pin.className = "pin";
+        pin.setAttribute("title", "Pinned");
+        pin.textContent = "⚲";
+        el.appendChild(pin);
+      } else {
+        const close = document.createElement("div");
+        close.className = "close";
+        close.setAttribute("title", "Close tab");
+        close.setAttribute("data-close", "1");
+        close.textContent = "×";
+        el.appendChild(close);
+      }
+
       ui.tabs.appendChild(el);
     }
+
+    renderStartScreen();
   }
 
   function updateDirtyUI() {
@@ -545,6 +1387,8 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
     ui.fileName.textContent = t.name;
     ui.fileLanguage.textContent = getLanguageLabel(t.language);
     ui.dirtyStatus.style.display = t.dirty ? "inline-flex" : "none";
+    updateEolUI();
+    updateEncodingUI();
   }
 
   function updateCursorUI() {
@@ -555,21 +1399,24 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
   }
 
   function updateEolUI() {
-    ui.eolMode.textContent = state.settings.eol;
+    const t = activeTab();
+    ui.eolMode.textContent = `${tabEol(t)}${t && t.eolMixed ? " ⚠" : ""}`;
+    ui.eolMode.title = t && t.eolMixed ? "Line endings were mixed — click to choose" : "Line endings — click to change";
   }
 
   function setActiveTab(id) {
     const t = state.tabs.find(x => x.id === id);
     if (!t) return;
 
-    // Save current view state
+    // Save current view state (only if the editor is actually showing it)
     const cur = activeTab();
-    if (cur && editor) cur.viewState = editor.saveViewState();
+    if (cur && editor && editor.getModel() === cur.model) cur.viewState = editor.saveViewState();
     state.activeId = id;
     if (ui.languageSelect) ui.languageSelect.value = t.language;
     editor.setModel(t.model);
 
     editor.setModel(t.model);
+    applyTabEditorOptions(t);
 
     if (t.viewState) {
       editor.restoreViewState(t.viewState);
@@ -584,33 +1431,374 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
     updateDirtyUI();
     updateCursorUI();
     renderTabs();
+    markExplorerActive();
+    renderTimelineIfVisible();
     persistSessionSoon();
+    if (cur && cur.id !== id) autosaveOnFocusChange("tab");
   }
 
-  function closeTab(id) {
-    const idx = state.tabs.findIndex(t => t.id === id);
-    if (idx < 0) return;
+  async function closeTab(id) {
+    return closeTabs([id]);
+  }
 
-    const wasActive = state.activeId === id;
+  // Close several tabs at once; dirty ones get a single Save / Don't Save / Cancel prompt.
+  async function closeTabs(ids) {
+    const wanted = new Set(ids || []);
+    let closing = state.tabs.filter(t => wanted.has(t.id));
+    if (!closing.length) return false;
+
+    const dirty = closing.filter(t => t.dirty);
+    if (dirty.length) {
+      const choice = await confirmUnsavedTabs(dirty);
+      if (choice !== "save" && choice !== "discard") return false;
+
+      if (choice === "save") {
+        const failed = new Set();
+        for (const t of dirty) {
+          if (!(await saveTabForClose(t))) failed.add(t);
+        }
+
+        // Anything that didn't reach disk stays open.
+        if (failed.size) {
+          closing = closing.filter(t => !failed.has(t));
+          setStatus(failed.size === 1 ? `"${Array.from(failed)[0].name}" not saved — kept open` : `${failed.size} files not saved — kept open`);
+        }
+      }
+    }
+
+    // Tabs may have gone away while the prompt was up.
+    closing = closing.filter(t => state.tabs.includes(t));
+    if (!closing.length) return false;
+
+    discardTabs(closing);
+    return true;
+  }
+
+  // ---------------------------
+  // Recently closed tabs (Ctrl+Shift+T)
+  // ---------------------------
+  const CLOSED_TABS_MAX = 20;
+  const CLOSED_TAB_MAX_CHARS = 2 * 1024 * 1024;
+
+  let closedTabs = [];
+
+  function rememberClosedTab(tab) {
+    if (!tab || !tab.model || tab.model.isDisposed()) return;
+
+    const length = tab.model.getValueLength();
+    // A blank scratch tab isn't worth bringing back.
+    if (!tab.handle && length === 0) return;
+
+    // Big files are only kept when they can be read back from disk (hex views are always re-read).
+    const keepContent = length <= CLOSED_TAB_MAX_CHARS && !(tab.kind === "hex" && tab.handle);
+    if (!keepContent && !tab.handle) return;
+
+    const isActive = tab.id === state.activeId && editor && editor.getModel() === tab.model;
+
+    closedTabs = closedTabs.filter(e => e.id !== tab.id);
+    closedTabs.unshift({
+      id: tab.id,
+      name: tab.name,
+      language: tab.language,
+      content: keepContent ? tab.model.getValue() : null,
+      handle: persistableHandle(tab.handle),
+      encoding: tabEncoding(tab),
+      kind: tab.kind || null,
+      large: !!tab.large,
+      viewState: isActive ? editor.saveViewState() : (tab.viewState || null),
+      index: state.tabs.indexOf(tab),
+      pinned: !!tab.pinned,
+      dirty: !!tab.dirty,
+      savedHash: tab.savedHash || null,
+      savedLength: tab.savedLength ?? null,
+      closedAt: Date.now()
+    });
+    if (closedTabs.length > CLOSED_TABS_MAX) closedTabs.length = CLOSED_TABS_MAX;
+
+    persistClosedTabs();
+  }
+
+  function persistClosedTabs() {
+    kvSet(wsKey("closed_tabs"), closedTabs).catch(async (e) => {
+      // Most likely a handle that won't clone; keep the text at least.
+      console.warn("[Moonskai] Could not store closed tabs:", e);
+      try { await kvSet(wsKey("closed_tabs"), closedTabs.map(c => ({ ...c, handle: null }))); } catch (_) {}
+    });
+  }
+
+  async function loadClosedTabs() {
+    try {
+      const list = await kvGet(wsKey("closed_tabs"));
+      closedTabs = Array.isArray(list) ? list.slice(0, CLOSED_TABS_MAX) : [];
+    } catch (_) {
+      closedTabs = [];
+    }
+  }
+
+  async function reopenClosedTab(entry = closedTabs[0]) {
+    if (!entry) {
+      setStatus("No recently closed tabs");
+      return null;
+    }
+
+    closedTabs = closedTabs.filter(e => e !== entry);
+    persistClosedTabs();
+
+    // The file may have been opened again meanwhile.
+    const existing = entry.handle ? await findTabByHandle(entry.handle) : null;
+    if (existing) {
+      setActiveTab(existing.id);
+      return existing;
+    }
+
+    let tab = null;
+    if (entry.content == null) {
+      try {
+        tab = await createTabFromFile(await entry.handle.getFile(), entry.handle);
+      } catch (e) {
+        console.warn("[Moonskai] Could not reopen:", entry.name, e);
+      }
+      if (!tab) {
+        setStatus(`Could not reopen ${entry.name}`);
+        return null;
+      }
+    } else {
+      tab = await createTab({ name: entry.name, content: entry.content, language: entry.language, handle: entry.handle || null, encoding: entry.encoding });
+      tab.kind = entry.kind || null;
+      tab.readOnly = entry.kind === "hex";
+      tab.large = !!entry.large;
+    }
+
+    if (!state.tabs.some(t => t !== tab && t.id === entry.id)) tab.id = entry.id; // keeps its local history
+    if (entry.content != null) restoreSavePoint(tab, entry);
+    tab.viewState = entry.viewState || null;
+    if (tab.handle) {
+      tab.path = await explorerPathOf(tab.handle);
+      if ((await queryTabPermission(tab)) !== "granted") updatePermissionBanner();
+    }
+
+    // Back to where it was in the strip
+    tab.pinned = !!entry.pinned;
+    const at = Math.min(Math.max(0, entry.index ?? state.tabs.length), state.tabs.length - 1);
+    state.tabs.splice(state.tabs.indexOf(tab), 1);
+    state.tabs.splice(at, 0, tab);
+    keepPinnedTabsFirst();
+
+    setActiveTab(tab.id);
+    setStatus(`Reopened ${tab.name}`);
+    return tab;
+  }
+
+  // ---------------------------
+  // Tab context menu (right-click / long-press)
+  // ---------------------------
+  const TAB_LONG_PRESS_MS = 550;
+
+  // Pinned tabs always sit at the left, in their own relative order.
+  function keepPinnedTabsFirst() {
+    const pinned = state.tabs.filter(t => t.pinned);
+    if (!pinned.length) return;
+    const rest = state.tabs.filter(t => !t.pinned);
+    state.tabs.splice(0, state.tabs.length, ...pinned, ...rest);
+  }
+
+  function setTabPinned(tab, pinned) {
+    if (!tab) return;
+    tab.pinned = !!pinned;
+
+    // Pinning moves to the end of the pinned group; unpinning to the start of the rest.
+    state.tabs.splice(state.tabs.indexOf(tab), 1);
+    const firstUnpinned = state.tabs.findIndex(t => !t.pinned);
+    state.tabs.splice(firstUnpinned < 0 ? state.tabs.length : firstUnpinned, 0, tab);
+
+    renderTabs();
+    persistSessionSoon();
+  }
+
+  async function duplicateTab(tab) {
+    if (!tab) return null;
+    // A hex view's text is a dump, not the file; a copy could be saved as if it were.
+    if (tab.kind === "hex") {
+      setStatus("Hex views can't be duplicated");
+      return null;
+    }
+    const copy = await createTab({ name: tab.name, content: tab.model.getValue(), language: tab.language, handle: null, encoding: tab.encoding });
+
+    // Right after the original (a copy of a pinned tab starts unpinned).
+    state.tabs.splice(state.tabs.indexOf(copy), 1);
+    state.tabs.splice(state.tabs.indexOf(tab) + 1, 0, copy);
+    keepPinnedTabsFirst();
+
+    setActiveTab(copy.id);
+    setStatus(`Duplicated ${tab.name}`);
+    return copy;
+  }
+
+  async function copyTabName(tab) {
+    if (!tab) return;
+    try {
+      await navigator.clipboard.writeText(tab.name);
+      setStatus("Name copied");
+    } catch (e) {
+      console.warn("[Moonskai] Clipboard write failed:", e);
+      setStatus("Could not copy name");
+    }
+  }
+
+  function showTabMenu(tab, x, y) {
+    if (!tab) return;
+    const idx = state.tabs.indexOf(tab);
+    const closable = (t) => t !== tab && !t.pinned;
+
+    const others = state.tabs.filter(closable).map(t => t.id);
+    const right = state.tabs.slice(idx + 1).filter(closable).map(t => t.id);
+    const saved = state.tabs.filter(t => !t.pinned && !t.dirty).map(t => t.id);
+    const canReveal = !!(tab.path && state.explorer.root && !state.explorer.needsPermission);
+
+    showContextMenu(x, y, [
+      { label: "Close", action: () => closeTab(tab.id) },
+      { label: "Close Others", disabled: !others.length, action: () => closeTabs(others) },
+      { label: "Close to the Right", disabled: !right.length, action: () => closeTabs(right) },
+      { label: "Close Saved", disabled: !saved.length, action: () => closeTabs(saved) },
+      "-",
+      { label: tab.pinned ? "Unpin" : "Pin", action: () => setTabPinned(tab, !tab.pinned) },
+      { label: "Duplicate", disabled: tab.kind === "hex", action: () => duplicateTab(tab) },
+      "-",
+      { label: "Copy Name", action: () => copyTabName(tab) },
+      { label: "Reveal in Explorer", disabled: !canReveal, title: canReveal ? "" : "Only for files inside the open folder", action: () => revealTabInExplorer(tab) },
+      "-",
+      { label: "Reopen Closed Tab", title: "Ctrl+Shift+T", disabled: !closedTabs.length, action: () => reopenClosedTab() }
+    ]);
+  }
+
+  function bindTabMenuUI() {
+    ui.tabs.addEventListener("contextmenu", (e) => {
+      e.preventDefault();
+      cancelTabLongPress();
+
+      const tabEl = e.target.closest(".tab");
+      const tab = tabEl ? state.tabs.find(t => t.id === tabEl.getAttribute("data-id")) : null;
+      if (tab) showTabMenu(tab, e.clientX, e.clientY);
+      else showTabStripMenu(e.clientX, e.clientY);
+    });
+
+    // Touch: long-press opens the menu (iOS never fires contextmenu). Moving cancels, so drag-reorder still works.
+    ui.tabs.addEventListener("pointerdown", (e) => {
+      if (e.pointerType === "mouse") return;
+      const tabEl = e.target.closest(".tab");
+      if (!tabEl || e.target.closest(".close")) return;
+
+      cancelTabLongPress();
+      const start = { x: e.clientX, y: e.clientY, id: tabEl.getAttribute("data-id"), pointerId: e.pointerId };
+      tabLongPress = {
+        ...start,
+        timer: setTimeout(() => {
+          const tab = state.tabs.find(t => t.id === start.id);
+          tabLongPress = null;
+          if (!tab) return;
+          suppressTabClick = true;
+          showTabMenu(tab, start.x, start.y);
+        }, TAB_LONG_PRESS_MS)
+      };
+    });
+
+    ui.tabs.addEventListener("pointermove", (e) => {
+      if (!tabLongPress || tabLongPress.pointerId !== e.pointerId) return;
+      if (Math.abs(e.clientX - tabLongPress.x) + Math.abs(e.clientY - tabLongPress.y) > 8) cancelTabLongPress();
+    });
+    ui.tabs.addEventListener("pointerup", cancelTabLongPress);
+    ui.tabs.addEventListener("pointercancel", cancelTabLongPress);
+
+    // The click that ends a long-press shouldn't also activate/close.
+    ui.tabs.addEventListener("click", (e) => {
+      if (!suppressTabClick) return;
+      suppressTabClick = false;
+      e.stopImmediatePropagation();
+    }, true);
+  }
+
+  let tabLongPress = null;
+  let suppressTabClick = false;
+
+  function cancelTabLongPress() {
+    if (!tabLongPress) return;
+    clearTimeout(tabLongPress.timer);
+    tabLongPress = null;
+  }
 
-    // Dispose model
-    const tab = state.tabs[idx];
-    try { tab.model.dispose(); } catch (_) {}
+  function showTabStripMenu(x, y) {
+    const items = [
+      { label: "Reopen Closed Tab", title: "Ctrl+Shift+T", disabled: !closedTabs.length, action: () => reopenClosedTab() }
+    ];
 
-    state.tabs.splice(idx, 1);
+    const recent = closedTabs.slice(0, 10);
+    if (recent.length) {
+      items.push("-");
+      for (const entry of recent) {
+        items.push({ label: entry.name, title: `Closed ${new Date(entry.closedAt).toLocaleString()}`, action: () => reopenClosedTab(entry) });
+      }
+    }
+
+    showContextMenu(x, y, items);
+  }
+
+  async function saveTabForClose(t) {
+    if (!t.handle) return saveAsTab(t);
+    try {
+      return await writeTabToHandle(t, { statusLabel: "Saved", promptPermission: true });
+    } catch (e) {
+      console.warn("[Moonskai] Save failed:", e);
+      return false;
+    }
+  }
+
+  function confirmUnsavedTabs(tabs) {
+    const single = tabs.length === 1;
+    return askChoice({
+      title: single ? `Save changes to "${tabs[0].name}"?` : `Save changes to ${tabs.length} files?`,
+      message: "Your changes will be lost if you don't save them.",
+      items: single ? [] : tabs.map(t => t.name),
+      buttons: [
+        { value: "save", label: single ? "Save" : "Save All", kind: "primary" },
+        { value: "discard", label: "Don't Save", kind: "danger" },
+        { value: "cancel", label: "Cancel" }
+      ]
+    });
+  }
+
+  // Close without asking.
+  function discardTabs(tabs) {
+    const closingSet = new Set(tabs);
+    const active = activeTab();
+    const wasActive = !!active && closingSet.has(active);
+    const activeIdx = active ? state.tabs.indexOf(active) : -1;
+    const removedBefore = state.tabs.slice(0, Math.max(0, activeIdx)).filter(t => closingSet.has(t)).length;
+
+    // Dispose models
+    for (const tab of tabs) {
+      rememberClosedTab(tab);
+      if (tab.handle) addRecent("files", tab.handle);
+      hideBanner(`file-shared:${tab.id}`);
+      hideBanner(`disk:${tab.id}`);
+      hideBanner(`eol:${tab.id}`);
+      try { tab.model.dispose(); } catch (_) {}
+      const idx = state.tabs.indexOf(tab);
+      if (idx >= 0) state.tabs.splice(idx, 1);
+      forgetPersistedDoc(tab.id);
+    }
+    updatePermissionBanner();
 
     if (state.tabs.length === 0) {
       newTab();
       return;
     }
 
-        if (wasActive) {
-      const next = state.tabs[Math.min(idx, state.tabs.length - 1)];
+    if (wasActive) {
+      const next = state.tabs[Math.min(activeIdx - removedBefore, state.tabs.length - 1)];
       setActiveTab(next.id);
       return;
     }
 
-
     updateDirtyUI();
     renderTabs();
     persistSessionSoon();
@@ -625,6 +1813,7 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
       if (!raw) return;
       const obj = JSON.parse(raw);
       state.settings = { ...DEFAULT_SETTINGS, ...obj };
+      normalizeAutosaveSettings(state.settings);
     } catch {}
   }
 
@@ -678,6 +1867,7 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
         fontSize: clamp(state.settings.fontSize, 10, 28),
         lineNumbers: ln,
       });
+      applyTabEditorOptions(activeTab());
     }
 
     // COMPARE (right)
@@ -713,7 +1903,11 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
     ui.settingFontSize.value = state.settings.fontSize;
     ui.themeSelect.value = state.settings.theme;
 
-    if (ui.settingAutosave) ui.settingAutosave.checked = !!state.settings.autosave;
+    if (ui.settingAutosave) ui.settingAutosave.value = state.settings.autosave;
+    if (ui.settingAutosaveDelay) {
+      ui.settingAutosaveDelay.value = String(state.settings.autosaveDelay);
+      ui.settingAutosaveDelay.disabled = state.settings.autosave !== "afterDelay";
+    }
     if (ui.settingLineNumbers) ui.settingLineNumbers.checked = !!state.settings.lineNumbers;
     if (ui.settingTabSize) ui.settingTabSize.value = String(state.settings.tabSize ?? 2);
     if (ui.settingInsertSpaces) ui.settingInsertSpaces.checked = !!state.settings.insertSpaces;
@@ -734,11 +1928,8 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
 
 
         for (const h of handles) {
-          const file = await h.getFile();
-          const text = await file.text();
-          const lang = inferLanguageFromFilename(file.name);
-          const tab = await createTab({ name: file.name, content: text, language: lang, handle: h });
-          state.activeId = tab.id;
+          const tab = await openFileHandle(h, { activate: false });
+          if (tab) state.activeId = tab.id;
         }
 
         renderTabs();
@@ -757,6 +1948,291 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
   }
 
 
+  async function findTabByHandle(handle) {
+    if (!handle) return null;
+    for (const t of state.tabs) {
+      if (!t || !t.handle) continue;
+      try {
+        if (t.handle === handle || await t.handle.isSameEntry(handle)) return t;
+      } catch (_) {}
+    }
+    return null;
+  }
+
+  // Open a FileSystemFileHandle as a tab, or reuse the tab that already has it.
+  async function openFileHandle(handle, { activate = true } = {}) {
+    let tab = await findTabByHandle(handle);
+
+    if (!tab) {
+      tab = await createTabFromFile(await handle.getFile(), handle);
+      if (!tab) return null;
+      tab.path = await explorerPathOf(handle);
+      if (tab.kind !== "hex") recordHistorySnapshot(tab, "opened");
+    }
+    addRecent("files", handle);
+
+    if (activate) {
+      state.activeId = tab.id;
+      renderTabs();
+      setActiveTab(tab.id);
+    }
+    return tab;
+  }
+
+  // Replace a tab's text with what's on disk (one undoable edit) and make that the save point.
+  async function reloadTabFromDisk(tab) {
+    if (!tab || !tab.handle || tab.model.isDisposed()) return false;
+    let file;
+    let text;
+    try {
+      file = await tab.handle.getFile();
+      ({ text } = await readFileText(file, tabEncoding(tab)));
+    } catch (e) {
+      console.warn("[Moonskai] Reload from disk failed:", e);
+      setStatus(`Couldn't read ${tab.name} from disk`);
+      return false;
+    }
+
+    if (tab.model.getValue() !== text) {
+      await recordHistorySnapshot(tab, "restore");
+      tab.model.pushStackElement();
+      tab.model.pushEditOperations([], [{ range: tab.model.getFullModelRange(), text }], () => null);
+      tab.model.pushStackElement();
+    }
+
+    setSavePoint(tab);
+    tab.disk = diskStamp(file);
+    tab.diskConflict = null;
+    hideBanner(`disk:${tab.id}`);
+    updateDirtyUI();
+    renderTabs();
+    persistSessionSoon();
+    setStatus(`Reloaded ${tab.name} from disk`);
+    return true;
+  }
+
+  // Put the on-disk version in COMPARE and diff the tab against it.
+  async function compareTabWithDisk(tab) {
+    if (!tab || !tab.handle) return false;
+    let text;
+    try {
+      ({ text } = await readFileText(await tab.handle.getFile(), tabEncoding(tab)));
+    } catch (e) {
+      console.warn("[Moonskai] Compare with disk failed:", e);
+      setStatus(`Couldn't read ${tab.name} from disk`);
+      return false;
+    }
+
+    if (state.activeId !== tab.id) setActiveTab(tab.id);
+    await setCompareModelFromText(`${tab.name} (disk)`, text, null);
+    setViewMode("diff");
+    return true;
+  }
+
+  // ---------------------------
+  // File handle permissions (restored tabs lose access after a browser restart)
+  // ---------------------------
+  // tab.permission mirrors queryPermission({ mode: "readwrite" }); unset means "not checked".
+  async function queryTabPermission(tab) {
+    if (!tab || !tab.handle || typeof tab.handle.queryPermission !== "function") return "granted";
+    try {
+      tab.permission = await tab.handle.queryPermission({ mode: "readwrite" });
+    } catch (_) {
+      tab.permission = "denied";
+    }
+    return tab.permission;
+  }
+
+  function tabsNeedingPermission() {
+    return state.tabs.filter(t => t.handle && t.permission && t.permission !== "granted");
+  }
+
+  function updatePermissionBanner() {
+    const tabs = tabsNeedingPermission();
+    if (!tabs.length) {
+      hideBanner("permissions");
+      return;
+    }
+
+    const names = tabs.slice(0, 3).map(t => t.name).join(", ");
+    const more = tabs.length > 3 ? ` and ${tabs.length - 3} more` : "";
+    showBanner({
+      id: "permissions",
+      kind: "warn",
+      message: `${tabs.length} restored tab(s) need access to their files again before they can be saved: ${names}${more}.`,
+      actions: [{ label: "Grant access", primary: true, action: grantHandlePermissions }]
+    });
+  }
+
+  // After loading a session: find out which restored handles lost access.
+  async function refreshHandlePermissions(tabs = state.tabs) {
+    for (const t of tabs) {
+      if (t.handle) await queryTabPermission(t);
+    }
+    renderTabs();
+    updatePermissionBanner();
+  }
+
+  async function requestTabPermission(tab) {
+    if (!tab || !tab.handle) return false;
+    try {
+      tab.permission = typeof tab.handle.requestPermission === "function"
+        ? await tab.handle.requestPermission({ mode: "readwrite" })
+        : "granted";
+    } catch (e) {
+      // No user activation left, or the file is gone
+      console.warn("[Moonskai] Permission request failed:", tab.name, e);
+      await queryTabPermission(tab);
+    }
+
+    const ok = tab.permission === "granted";
+    if (ok) checkTabOnDisk(tab);
+    return ok;
+  }
+
+  // One click grants every tab that needs it (each handle still gets its own browser prompt).
+  async function grantHandlePermissions() {
+    let granted = 0;
+    let declined = 0;
+    for (const t of tabsNeedingPermission()) {
+      if (await requestTabPermission(t)) granted++;
+      else declined++;
+    }
+
+    renderTabs();
+    updatePermissionBanner();
+    if (declined) setStatus(`Access granted to ${granted} file(s), ${declined} declined`);
+    else if (granted) setStatus(`Access granted to ${granted} file(s)`);
+  }
+
+  // ---------------------------
+  // On-disk changes (files changed by other tools while open)
+  // ---------------------------
+  // tab.disk is { lastModified, size } of the file as last read or written by us.
+  const DISK_CHECK_INTERVAL_MS = 5000;
+
+  let diskCheckBusy = false;
+
+  function diskStamp(file) {
+    return file ? { lastModified: file.lastModified, size: file.size } : null;
+  }
+
+  function sameDiskStamp(a, b) {
+    return !!a && !!b && a.lastModified === b.lastModified && a.size === b.size;
+  }
+
+  async function stampTabFromDisk(tab) {
+    if (!tab || !tab.handle) return;
+    try {
+      tab.disk = diskStamp(await tab.handle.getFile());
+      persistSessionSoon();
+    } catch (_) {}
+  }
+
+  function showDiskBanner(tab, { deleted = false, by = null } = {}) {
+    const where = by ? ` in ${by}` : " on disk";
+    if (deleted) {
+      showBanner({
+        id: `disk:${tab.id}`,
+        kind: "warn",
+        message: `"${tab.name}" was deleted or moved on disk. Use Save As to keep your copy.`
+      });
+      return;
+    }
+
+    const actions = [{ label: "Reload", primary: !tab.dirty, action: () => reloadTabFromDisk(tab) }];
+    if (tab.dirty) actions.push({ label: "Overwrite", action: () => overwriteTabOnDisk(tab) });
+    actions.push({ label: "Compare", action: () => compareTabWithDisk(tab) });
+
+    showBanner({
+      id: `disk:${tab.id}`,
+      kind: tab.dirty ? "warn" : "info",
+      message: tab.dirty
+        ? `"${tab.name}" was changed${where} and also has unsaved changes here.`
+        : `"${tab.name}" was changed${where}.`,
+      actions
+    });
+  }
+
+  // Returns true when the file no longer matches tab.disk (a banner is shown once per disk version).
+  async function checkTabOnDisk(tab, { by = null } = {}) {
+    if (!tab || !tab.handle || !tab.model || tab.model.isDisposed()) return false;
+
+    let file;
+    try {
+      file = await tab.handle.getFile();
+    } catch (e) {
+      if (e && e.name === "NotFoundError" && tab.diskConflict !== "deleted") {
+        tab.diskConflict = "deleted";
+        showDiskBanner(tab, { deleted: true, by });
+      }
+      return false; // no permission yet, or gone
+    }
+
+    const stamp = diskStamp(file);
+    if (!tab.disk) {
+      tab.disk = stamp;
+      persistSessionSoon();
+      return false;
+    }
+    if (sameDiskStamp(stamp, tab.disk)) return false;
+
+    // Nothing to lose in a hex view: just show the new bytes.
+    if (tab.kind === "hex") {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      tab.model.setValue(hexDump(bytes.subarray(0, HEX_MAX_BYTES), bytes.length));
+      setSavePoint(tab);
+      tab.disk = stamp;
+      persistSessionSoon();
+      return false;
+    }
+
+    // Touched but identical (or already what we have): just take the new stamp.
+    const { text } = await readFileText(file, tabEncoding(tab));
+    if (text === tab.model.getValue() || text === getTextForSave(tab)) {
+      tab.disk = stamp;
+      tab.diskConflict = null;
+      hideBanner(`disk:${tab.id}`);
+      persistSessionSoon();
+      return false;
+    }
+
+    const key = `${stamp.lastModified}:${stamp.size}`;
+    if (tab.diskConflict !== key) {
+      tab.diskConflict = key;
+      showDiskBanner(tab, { by });
+    }
+    return true;
+  }
+
+  async function checkAllTabsOnDisk() {
+    if (diskCheckBusy || document.visibilityState === "hidden") return;
+    diskCheckBusy = true;
+    try {
+      for (const t of state.tabs.slice()) {
+        if (t.handle) await checkTabOnDisk(t);
+      }
+    } finally {
+      diskCheckBusy = false;
+    }
+  }
+
+  async function overwriteTabOnDisk(tab) {
+    try {
+      await writeTabToHandle(tab, { statusLabel: "Overwritten", overwrite: true });
+    } catch (e) {
+      console.warn("[Moonskai] Overwrite failed:", e);
+      setStatus("Overwrite failed");
+    }
+  }
+
+  function startDiskWatch() {
+    window.addEventListener("focus", checkAllTabsOnDisk);
+    document.addEventListener("visibilitychange", checkAllTabsOnDisk);
+    setInterval(checkAllTabsOnDisk, DISK_CHECK_INTERVAL_MS);
+  }
+
+
     async function openCompareFile() {
     // Right pane compare file (single)
     if ("showOpenFilePicker" in window) {
@@ -764,7 +2240,8 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
         const [h] = await window.showOpenFilePicker({ multiple: false });
         if (h) {
           const file = await h.getFile();
-          const text = await file.text();
+          const text = await readCompareFileText(file);
+          if (text === null) return;
           await setCompareModelFromText(file.name || "compare", text, h);
           setStatus("Compare loaded");
           return;
@@ -800,6 +2277,7 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
 
     editorCompare.setModel(state.compare.model);
     updateCompareUI();
+    persistSessionSoon();
 
     // If we're in diff mode, sync the diff model too.
     if (state.view.mode === "diff") {
@@ -819,6 +2297,7 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
     }
 
     updateCompareUI();
+    persistSessionSoon();
 
     if (state.view.mode === "diff") {
       syncDiffModel();
@@ -838,6 +2317,9 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
   }
 
   function setViewMode(mode) {
+    // Leaving Diff mode abandons a pending replace-all preview.
+    if (replacePreview && mode !== "diff") endReplacePreview({ restoreView: false });
+
     state.view.mode = mode;
 
     const isDiff = mode === "diff";
@@ -865,8 +2347,8 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
       try { editorCompare && editorCompare.layout(); } catch (_) {}
       try { diffEditor && diffEditor.layout(); } catch (_) {}
     });
-     
 
+    persistSessionSoon();
   }
 
   function ensureDiffEditor() {
@@ -885,13 +2367,24 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
 
     // Left is master; right is slave.
     try {
-      diffEditor.getOriginalEditor().updateOptions({ readOnly: false });
+      diffEditor.getOriginalEditor().updateOptions({ readOnly: !!t.readOnly }); // hex and still-loading tabs stay read-only
       diffEditor.getModifiedEditor().updateOptions({ readOnly: true });
     } catch (_) {}
   }
 
   function syncDiffModel() {
     if (!diffEditor) return;
+
+    // Replace-all preview owns the DiffEditor until it's applied or canceled.
+    if (replacePreview) {
+      diffEditor.setModel({ original: replacePreview.original, modified: replacePreview.modified });
+      try {
+        diffEditor.getOriginalEditor().updateOptions({ readOnly: true });
+        diffEditor.getModifiedEditor().updateOptions({ readOnly: true });
+      } catch (_) {}
+      return;
+    }
+
     const t = activeTab();
     const masterModel = t && t.model ? t.model : null;
     const compareModel = state.compare && state.compare.model ? state.compare.model : null;
@@ -902,7 +2395,7 @@ function _0x8c23(){const _0x2d913c=['zxjYB3i','z2v0qwXS','Dg9tDhjPBMC','Chv0','B
 
     // Enforce master/slave after setModel.
     try {
-      diffEditor.getOriginalEditor().updateOptions({ readOnly: false });
+      diffEditor.getOriginalEditor().updateOptions({ readOnly: !!t.readOnly }); // hex and still-loading tabs stay read-only
       diffEditor.getModifiedEditor().updateOptions({ readOnly: true });
     } catch (_) {}
   }
@@ -972,19 +2465,25 @@ function _0x2514(_0x4b6e1f,_0x104b2c){_0x4b6e1f=_0x4b6e1f-(-0x1ece+-0xb75+-0x2b8
 
   function trimTrailingWhitespace(text) {
     if (!state.settings.trimTrailing) return String(text ?? "");
-    return String(text ?? "").replace(/[ \t]+$/gm, "");
+    return String(text ?? "").replace(/[ \t]+(?=\r?$)/gm, "");
   }
 
+  // Line endings follow the tab's EOL, so CRLF files stay CRLF.
   function getTextForSave(tab) {
-    const raw = (tab && tab.model) ? tab.model.getValue() : "";
-    return trimTrailingWhitespace(raw);
+    if (!tab || !tab.model) return "";
+    const pref = tabEol(tab) === "CRLF" ? monaco.editor.EndOfLinePreference.CRLF : monaco.editor.EndOfLinePreference.LF;
+    return trimTrailingWhitespace(tab.model.getValue(pref));
   }
 
       async function writeTabToHandle(
     tab,
-    { statusLabel = "Saved", silent = false, promptPermission = true } = {}
+    { statusLabel = "Saved", silent = false, promptPermission = true, historyReason = "save", overwrite = false, allowLossy = false } = {}
   ) {
     if (!tab || !tab.handle) return false;
+    if (tab.readOnly) {
+      if (!silent) setStatus(`${tab.name} is read-only`);
+      return false;
+    }
 
     // Autosave: never prompt. If permission isn't already granted, skip.
     if (!promptPermission) {
@@ -992,6 +2491,11 @@ function _0x2514(_0x4b6e1f,_0x104b2c){_0x4b6e1f=_0x4b6e1f-(-0x1ece+-0xb75+-0x2b8
         const h = tab.handle;
         if (h && typeof h.queryPermission === "function") {
           const p = await h.queryPermission({ mode: "readwrite" });
+          if (p !== tab.permission && tab.id) {
+            tab.permission = p;
+            renderTabs();
+            updatePermissionBanner();
+          }
           if (p !== "granted") return false;
         }
       } catch (_) {
@@ -999,17 +2503,47 @@ function _0x2514(_0x4b6e1f,_0x104b2c){_0x4b6e1f=_0x4b6e1f-(-0x1ece+-0xb75+-0x2b8
       }
     }
 
-    const text = getTextForSave(tab);
-    const blob = new Blob([text], { type: "text/plain" });
+    // Someone else changed the file since we read/wrote it: don't clobber it without asking.
+    if (!overwrite && tab.disk && (await checkTabOnDisk(tab))) {
+      showDiskBanner(tab);
+      if (!silent) setStatus(`${tab.name} changed on disk — not saved`);
+      return false;
+    }
 
-    const writable = await tab.handle.createWritable();
-    await writable.write(blob);
-    await writable.close();
+    // Characters the file's encoding can't hold would be written as "?".
+    const lossy = allowLossy ? 0 : encodeText(getTextForSave(tab), tabEncoding(tab)).lossy;
+    if (lossy) {
+      // Autosave never asks; the error shows up on the tab instead.
+      if (!promptPermission) throw new Error(`${lossy} character(s) can't be saved as ${encodingInfo(tabEncoding(tab)).label}`);
+      if (!(await resolveLossySave(tab, lossy))) {
+        if (!silent) setStatus("Save canceled");
+        return false;
+      }
+    }
 
-    tab.dirty = false;
+    const text = getTextForSave(tab);
+    const savePoint = captureSavePoint(tab);
+    const blob = new Blob([encodeText(text, tabEncoding(tab)).bytes], { type: "text/plain" });
+
+    // Browser-project files in Safari have no createWritable(); writeFileHandle() goes through a worker.
+    await writeFileHandle(tab.handle, blob);
+
+    setSavePoint(tab, savePoint);
+    tab.diskConflict = null;
+    tab.autosaveError = null;
+    if (tab.permission && tab.permission !== "granted") {
+      tab.permission = "granted";
+      updatePermissionBanner();
+    }
+    try { tab.disk = diskStamp(await tab.handle.getFile()); } catch (_) {}
     updateDirtyUI();
     renderTabs();
     persistSessionSoon();
+    recordHistorySnapshot(tab, historyReason);
+    hideBanner(`disk:${tab.id}`);
+    hideBanner(`file-shared:${tab.id}`);
+    tab.dirtyBroadcastAt = 0;
+    broadcastWindowMessage({ type: "file-saved", handle: tab.handle, name: tab.name });
 
     if (!silent) setStatus(statusLabel);
     return true;
@@ -1017,33 +2551,89 @@ function _0x2514(_0x4b6e1f,_0x104b2c){_0x4b6e1f=_0x4b6e1f-(-0x1ece+-0xb75+-0x2b8
 
 
 
+  // ---------------------------
+  // Autosave
+  // ---------------------------
+  // Saves every dirty tab that has a file with access already granted — never prompts.
+  // "onFocusChange" also covers the window losing focus.
+  const AUTOSAVE_MODES = ["off", "afterDelay", "onFocusChange", "onWindowChange"];
+  const AUTOSAVE_DELAY_MIN_MS = 100;
+  const AUTOSAVE_DELAY_MAX_MS = 60000;
+
   let autosaveTimer = null;
   let autosaveBusy = false;
+  let autosaveQueued = false;
+
+  // Also upgrades the v2 boolean (true = save shortly after each edit).
+  function normalizeAutosaveSettings(settings) {
+    if (settings.autosave === true) settings.autosave = "afterDelay";
+    if (!AUTOSAVE_MODES.includes(settings.autosave)) settings.autosave = "off";
+    const delay = parseInt(settings.autosaveDelay, 10);
+    settings.autosaveDelay = clamp(Number.isFinite(delay) ? delay : DEFAULT_SETTINGS.autosaveDelay, AUTOSAVE_DELAY_MIN_MS, AUTOSAVE_DELAY_MAX_MS);
+  }
 
-    function autosaveActiveSoon() {
-    if (!state.settings.autosave) return;
-
-    const t = activeTab();
-    if (!t || !t.handle) return;
+  // Known conflicts already have a banner; tabs without access show the 🔒 badge.
+  function autosaveCandidates() {
+    return state.tabs.filter(t => t && t.dirty && t.handle && !t.readOnly && !t.diskConflict);
+  }
 
-    if (autosaveTimer) clearTimeout(autosaveTimer);
-    autosaveTimer = setTimeout(async () => {
-      if (autosaveBusy) return;
+  function setAutosaveError(tab, e) {
+    tab.autosaveError = (e && e.message) || String(e || "unknown error");
+    renderTabs();
+    setStatus(`Autosave failed for ${tab.name}`);
+  }
 
-      const cur = activeTab();
-      if (!cur || cur.id !== t.id) return;
-      if (!cur.dirty) return;
+  async function autosaveDirtyTabs() {
+    if (autosaveBusy) {
+      autosaveQueued = true;
+      return;
+    }
 
-      autosaveBusy = true;
-      try {
-        // Autosave should never prompt — if permission isn't granted, just skip.
-        await writeTabToHandle(cur, { statusLabel: "Autosaved", silent: true, promptPermission: false });
-      } catch (e) {
-        console.warn("[Moonskai] Autosave failed:", e);
-      } finally {
-        autosaveBusy = false;
-      }
-    }, 250);
+    autosaveBusy = true;
+    try {
+      do {
+        autosaveQueued = false;
+        for (const t of autosaveCandidates()) {
+          if (!state.tabs.includes(t) || !t.dirty) continue; // closed or saved meanwhile
+          try {
+            await writeTabToHandle(t, { statusLabel: "Autosaved", silent: true, promptPermission: false, historyReason: "autosave" });
+          } catch (e) {
+            console.warn("[Moonskai] Autosave failed:", t.name, e);
+            setAutosaveError(t, e);
+          }
+        }
+      } while (autosaveQueued);
+    } finally {
+      autosaveBusy = false;
+    }
+  }
+
+  function cancelAutosaveTimer() {
+    if (autosaveTimer) clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+  }
+
+  function autosaveAfterEdit() {
+    if (state.settings.autosave !== "afterDelay") return;
+    cancelAutosaveTimer();
+    autosaveTimer = setTimeout(() => {
+      autosaveTimer = null;
+      autosaveDirtyTabs();
+    }, state.settings.autosaveDelay);
+  }
+
+  // kind: "tab" (switched tabs), "editor" (editor lost focus) or "window".
+  function autosaveOnFocusChange(kind) {
+    const mode = state.settings.autosave;
+    if (mode === "onFocusChange" || (mode === "onWindowChange" && kind === "window")) autosaveDirtyTabs();
+  }
+
+  function startAutosave() {
+    window.addEventListener("blur", () => autosaveOnFocusChange("window"));
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") autosaveOnFocusChange("window");
+    });
+    if (editor) editor.onDidBlurEditorWidget(() => autosaveOnFocusChange("editor"));
   }
 
 
@@ -1055,7 +2645,7 @@ function _0x2514(_0x4b6e1f,_0x104b2c){_0x4b6e1f=_0x4b6e1f-(-0x1ece+-0xb75+-0x2b8
     if (t.handle) {
       try {
         const ok = await writeTabToHandle(t, { statusLabel: "Saved", promptPermission: true });
-        if (ok) return;
+        if (ok || t.diskConflict || t.readOnly) return;
 
         // Permission denied — don't fall through to Save As/Download automatically.
         setStatus("Save needs permission (use Save As)");
@@ -1067,239 +2657,4474 @@ function _0x2514(_0x4b6e1f,_0x104b2c){_0x4b6e1f=_0x4b6e1f-(-0x1ece+-0xb75+-0x2b8
       }
     }
 
-    await saveAsActive();
-  }
+    await saveAsActive();
+  }
+
+
+  async function saveAsActive() {
+    return saveAsTab(activeTab());
+  }
+
+  async function saveAsTab(t, { allowLossy = false } = {}) {
+    if (!t) return false;
+    if (t.readOnly) {
+      setStatus(`${t.name} is read-only`);
+      return false;
+    }
+
+    // File System Access API (preferred)
+    if ("showSaveFilePicker" in window) {
+      try {
+        const handle = await window.showSaveFilePicker({
+  suggestedName: t.name || "untitled"
+});
+
+
+        t.handle = handle;
+        t.project = null;
+        t.disk = null; // a different file
+        t.diskConflict = null;
+        hideBanner(`disk:${t.id}`);
+        t.name = (handle && handle.name) ? handle.name : t.name;
+
+        const ok = await writeTabToHandle(t, { statusLabel: "Saved As", promptPermission: true, allowLossy });
+        if (ok) addRecent("files", handle);
+        else setStatus("Save As needs permission");
+        return ok;
+      } catch (e) {
+        // User canceled -> stop cleanly.
+        if (e && e.name === "AbortError") {
+          setStatus("Save As canceled");
+          return false;
+        }
+
+        // Picker failed/blocked -> DO NOT exit unsaved. Fall through to download fallback.
+        console.warn("[Moonskai] Save As picker failed; falling back to download:", e);
+        setStatus("Save As unavailable — downloading");
+      }
+    }
+
+    // No picker, but a browser project is open: Save As can put the file in it.
+    if (state.explorer.opfs && state.explorer.root) {
+      const choice = await askChoice({
+        title: `Save "${t.name || "untitled"}"`,
+        message: `Save it into the project "${state.explorer.root.name}", or download a copy?`,
+        buttons: [
+          { value: "project", label: "Save to Project", kind: "primary" },
+          { value: "download", label: "Download" },
+          { value: "cancel", label: "Cancel" }
+        ]
+      });
+      if (choice === "project") return saveTabToProject(t, { allowLossy });
+      if (choice !== "download") {
+        setStatus("Save As canceled");
+        return false;
+      }
+    }
+
+    // Fallback download (also used when picker fails)
+    const suggested = (t.name || "untitled").replace(/[\\\/:*?"<>|]/g, "_");
+    const name = prompt("Save As filename:", suggested);
+    if (!name) {
+      setStatus("Save As canceled");
+      return false;
+    }
+    t.name = String(name).trim() || suggested;
+
+    const lossy = allowLossy ? 0 : encodeText(getTextForSave(t), tabEncoding(t)).lossy;
+    if (lossy && !(await resolveLossySave(t, lossy))) {
+      setStatus("Save As canceled");
+      return false;
+    }
+
+    const text = getTextForSave(t);
+    const blob = new Blob([encodeText(text, tabEncoding(t)).bytes], { type: "text/plain" });
+
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = t.name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(a.href);
+
+    setSavePoint(t);
+    updateDirtyUI();
+    renderTabs();
+    persistSessionSoon();
+    recordHistorySnapshot(t, "save");
+    setStatus("Downloaded");
+    return true;
+  }
+
+
+ async function saveAll() {
+  const originalActiveId = state.activeId;
+  let savedCount = 0;
+  let skippedCount = 0;
+
+  // Tabs that never had a file: offered as one zip / folder write after the rest are saved.
+  const loose = state.tabs.filter(t => t && !t.handle && t.dirty && !t.readOnly);
+
+  for (const t of state.tabs) {
+    if (!t) continue;
+
+    if (t.handle) {
+      try {
+        const ok = await writeTabToHandle(t, {
+          statusLabel: "Saved",
+          silent: true,
+          promptPermission: true
+        });
+        if (ok) savedCount++;
+        else skippedCount++;
+      } catch (e) {
+        console.warn("[Moonskai] Save All failed for tab:", t && t.name, e);
+        skippedCount++;
+      }
+    } else {
+      skippedCount++;
+    }
+  }
+
+  if (loose.length) {
+    const n = await saveLooseTabs(loose);
+    savedCount += n;
+    skippedCount -= n;
+  }
+
+  if (originalActiveId) {
+    setActiveTab(originalActiveId);
+  }
+
+  if (skippedCount > 0) {
+    setStatus(`Saved ${savedCount} file(s), skipped ${skippedCount}`);
+  } else {
+    setStatus(`Saved all (${savedCount})`);
+  }
+}
+
+  // ---------------------------
+  // Save All for tabs without a file
+  // ---------------------------
+  // Where a handle-less tab goes in a zip or folder: under the folders its deleted file lived in
+  // (tab.lastPath, set by explorer/project deletes), otherwise at the top level under its name.
+  function looseTabPath(t) {
+    const dir = t.lastPath ? t.lastPath.split("/").slice(0, -1).join("/") : "";
+    const name = t.name || "untitled";
+    const parts = (dir ? `${dir}/${name}` : name)
+      .split("/")
+      .filter(p => p && p !== "." && p !== "..")
+      .map(archiveSafeName);
+    return parts.length ? parts.join("/") : "untitled";
+  }
+
+  // One path per tab; a second "untitled.txt" becomes "untitled (2).txt".
+  function uniqueLoosePaths(tabs) {
+    const used = new Set();
+    return tabs.map((t) => {
+      const path = looseTabPath(t);
+      const slash = path.lastIndexOf("/");
+      const dot = path.lastIndexOf(".");
+      const stem = dot > slash + 1 ? path.slice(0, dot) : path;
+      const ext = dot > slash + 1 ? path.slice(dot) : "";
+
+      let out = path;
+      for (let n = 2; used.has(out.toLowerCase()); n++) out = `${stem} (${n})${ext}`;
+      used.add(out.toLowerCase());
+      return out;
+    });
+  }
+
+  // Like the Save As download: the tabs count as saved once the zip is handed to the browser.
+  async function zipLooseTabs(tabs, paths) {
+    const files = tabs.map((t, i) => ({ name: paths[i], data: encodeText(getTextForSave(t), tabEncoding(t)).bytes }));
+    const points = tabs.map(captureSavePoint);
+    const ws = currentWorkspace();
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadBlob(await zipCreate(files), `moonskai-${archiveSafeName(ws ? ws.name : "files")}-${stamp}.zip`);
+
+    tabs.forEach((t, i) => {
+      setSavePoint(t, points[i]);
+      recordHistorySnapshot(t, "save");
+    });
+    return tabs.length;
+  }
+
+  // Each tab becomes a real file under dir and keeps its handle from then on.
+  async function writeLooseTabsToDirectory(tabs, paths, dir) {
+    let saved = 0;
+
+    for (let i = 0; i < tabs.length; i++) {
+      const t = tabs[i];
+      const parts = paths[i].split("/");
+      const prev = { handle: t.handle, name: t.name };
+      const name = parts[parts.length - 1];
+      let d = null;
+      let created = false;
+
+      try {
+        d = dir;
+        for (const part of parts.slice(0, -1)) d = await d.getDirectoryHandle(part, { create: true });
+
+        const existed = await entryExists(d, name);
+        if (existed && !confirm(`"${paths[i]}" already exists in ${dir.name}. Replace it?`)) continue;
+
+        t.handle = await d.getFileHandle(name, { create: true });
+        created = !existed;
+        t.name = name;
+        t.disk = null;
+        t.diskConflict = null;
+        if (await writeTabToHandle(t, { silent: true, overwrite: true })) {
+          saved++;
+          await addRecent("files", t.handle);
+          continue;
+        }
+      } catch (e) {
+        console.warn("[Moonskai] Could not save tab into folder:", t.name, e);
+      }
+
+      // Don't leave an empty file behind for a tab that still has no file.
+      if (created) {
+        try { await d.removeEntry(name); } catch (e) { console.warn("[Moonskai] Could not remove unsaved file:", name, e); }
+      }
+      t.handle = prev.handle;
+      t.name = prev.name;
+    }
+
+    await syncTabPathsWithExplorer();
+    if (state.explorer.root && !state.explorer.needsPermission) await refreshExplorer();
+    return saved;
+  }
+
+  async function saveLooseTabs(tabs) {
+    const paths = uniqueLoosePaths(tabs);
+    const ex = state.explorer;
+    const intoRoot = ex.root && !ex.needsPermission ? ex.root : null;
+
+    const buttons = [{ value: "zip", label: "Download as Zip", kind: "primary" }];
+    if ("showDirectoryPicker" in window) buttons.push({ value: "pick", label: "Save to Folder…" });
+    if (intoRoot) buttons.push({ value: "root", label: `Save into ${intoRoot.name}` });
+    buttons.push({ value: "skip", label: "Skip" });
+
+    const choice = await askChoice({
+      title: `${tabs.length} unsaved tab(s) have no file`,
+      message: "Bundle them into one zip, or write them as files into a folder.",
+      items: paths,
+      buttons,
+      cancelValue: "skip"
+    });
+
+    let saved = 0;
+    try {
+      if (choice === "zip") {
+        saved = await zipLooseTabs(tabs, paths);
+      } else if (choice === "pick") {
+        let dir;
+        try {
+          dir = await window.showDirectoryPicker({ mode: "readwrite" });
+        } catch (e) {
+          if (!e || e.name !== "AbortError") console.warn("[Moonskai] Folder picker failed:", e);
+          return 0;
+        }
+        saved = await writeLooseTabsToDirectory(tabs, paths, dir);
+        await addRecent("folders", dir);
+      } else if (choice === "root") {
+        saved = await writeLooseTabsToDirectory(tabs, paths, intoRoot);
+      }
+    } catch (e) {
+      console.warn("[Moonskai] Save All could not save tabs without a file:", e);
+    }
+
+    if (saved) {
+      updateDirtyUI();
+      renderTabs();
+      persistSessionSoon();
+    }
+    return saved;
+  }
+
+  // ---------------------------
+  // Session persistence (IndexedDB docs + localStorage pointers)
+  // ---------------------------
+  let persistTimer = null;
+  let persistInFlight = null; // promise of the running write loop
+  let persistQueued = false;
+  let sessionRestored = false; // boot sets this once everything from the last session is back
+
+  // What the docs store already holds, so a persist only writes what changed since.
+  const closedDocIds = new Set();
+  let persistedOrderKey = null;
+  let persistedActiveId;
+  let persistedViewStatesKey = null;
+  let persistedViewKey = null;
+  let persistedCompareKey = null;
+
+  function persistSessionSoon() {
+    if (persistTimer) clearTimeout(persistTimer);
+    persistTimer = setTimeout(persistSession, 350);
+  }
+
+  function docMetaKey(t) {
+    return JSON.stringify([t.name, t.language, !!t.dirty, !!t.pinned, t.savedHash || null, t.savedLength ?? null, t.disk || null, tabEol(t), tabEncoding(t), t.project || null]);
+  }
+
+  // Persist file handles when supported (Chromium). If not cloneable, store null.
+  function persistableHandle(handle) {
+    if (!handle) return null;
+    try {
+      if (typeof structuredClone === "function") structuredClone(handle);
+      return handle;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Cursor/scroll/folding per doc. Kept in kv rather than on the doc records so moving the
+  // cursor doesn't rewrite file contents.
+  function collectTabViewStates() {
+    const out = {};
+    for (const t of state.tabs) {
+      if (editor && t.id === state.activeId && editor.getModel() === t.model) t.viewState = editor.saveViewState();
+      if (t.viewState) out[t.id] = t.viewState;
+    }
+    return out;
+  }
+
+  // Split-view state that isn't tied to a tab.
+  function collectSessionView() {
+    const lock = state.scrollLock;
+    let compareViewState = null;
+    try { if (editorCompare) compareViewState = editorCompare.saveViewState(); } catch (_) {}
+
+    return {
+      // A replace-all preview borrows Diff mode; it doesn't survive a reload.
+      mode: isDiffMode() && !replacePreview ? "diff" : "split",
+      layout: state.view.layout === "single" ? "single" : "split",
+      scrollLock: { enabled: !!lock.enabled, mode: lock.mode || "sync", lineDelta: lock.lineDelta || 0 },
+      compareViewState
+    };
+  }
+
+  function hasCompareDoc() {
+    return !!(state.compare && state.compare.model && state.compare.name && state.compare.name !== "—");
+  }
+
+  // Changes whenever the COMPARE text, file or name does.
+  function compareDocKey() {
+    if (!hasCompareDoc()) return "none";
+    const c = state.compare;
+    return `${c.model.getAlternativeVersionId()}|${c.name}|${c.language}`;
+  }
+
+  function collectCompareDoc() {
+    if (!hasCompareDoc()) return null;
+    const c = state.compare;
+    return { name: c.name, language: c.language, content: c.model.getValue(), handle: persistableHandle(c.handle) };
+  }
+
+  async function restoreSessionView() {
+    // COMPARE document first, so its scroll position has something to land on.
+    try {
+      const doc = await kvGet(wsKey("session_compare"));
+      if (doc && typeof doc.content === "string") await setCompareModelFromText(doc.name, doc.content, doc.handle || null);
+    } catch (e) {
+      console.warn("[Moonskai] Could not restore COMPARE:", e);
+    }
+    persistedCompareKey = compareDocKey();
+
+    let view = null;
+    try { view = await kvGet(wsKey("session_view")); } catch (_) {}
+    if (!view) return;
+    persistedViewKey = JSON.stringify(view);
+
+    state.view.layout = view.layout === "single" ? "single" : "split";
+    applySplitLayout();
+    if (view.mode === "diff") setViewMode("diff");
+
+    const lock = view.scrollLock || {};
+    state.scrollLock.mode = lock.mode === "offset" ? "offset" : "sync";
+    state.scrollLock.lineDelta = Number(lock.lineDelta) || 0;
+    state.scrollLock.enabled = !!lock.enabled && !isDiffMode() && state.view.layout !== "single";
+    if (ui.lockMode) ui.lockMode.value = state.scrollLock.mode;
+    if (ui.scrollLock) ui.scrollLock.setAttribute("aria-pressed", state.scrollLock.enabled ? "true" : "false");
+
+    const cm = state.compare.model;
+    if (view.compareViewState && editorCompare && cm && cm.getValueLength() > 0) {
+      try { editorCompare.restoreViewState(view.compareViewState); } catch (_) {}
+    }
+    if (state.scrollLock.enabled) syncCompareScrollFromMaster();
+  }
+
+  function markTabPersisted(t, versionId, metaKey, handle) {
+    t.persistedVersionId = versionId;
+    t.persistedMetaKey = metaKey;
+    t.persistedHandle = handle;
+  }
+
+  function forgetPersistedDoc(id) {
+    if (id) closedDocIds.add(id);
+  }
+
+  async function persistSession() {
+    persistTimer = null;
+
+    // Writing before boot has restored the view/layout would overwrite them with defaults.
+    if (!sessionRestored) return;
+
+    // One writer at a time; changes made meanwhile are picked up by another pass.
+    if (persistInFlight) {
+      persistQueued = true;
+      return persistInFlight;
+    }
+
+    persistInFlight = (async () => {
+      try {
+        do {
+          persistQueued = false;
+          await writeSessionChanges();
+        } while (persistQueued);
+      } finally {
+        persistInFlight = null;
+      }
+    })();
+    return persistInFlight;
+  }
+
+  // Write out anything pending right now (e.g. before switching workspaces).
+  async function flushSession() {
+    if (persistTimer) {
+      clearTimeout(persistTimer);
+      persistTimer = null;
+    }
+    await persistSession();
+  }
+
+  async function writeSessionChanges() {
+    const puts = [];
+    const written = [];
+
+    for (const t of state.tabs) {
+      if (!t.model || t.model.isDisposed()) continue;
+
+      // Alternative version ids come back to the same value on undo, so undo-to-persisted is a no-op here.
+      const versionId = t.model.getAlternativeVersionId();
+      const metaKey = docMetaKey(t);
+      const handle = t.handle || null;
+      if (versionId === t.persistedVersionId && metaKey === t.persistedMetaKey && handle === t.persistedHandle) continue;
+
+      puts.push({
+        id: t.id,
+        workspace: state.workspace.id,
+        name: t.name,
+        language: t.language,
+        content: t.model.getValue(),
+        dirty: t.dirty,
+        pinned: !!t.pinned,
+        savedHash: t.savedHash || null,
+        savedLength: t.savedLength ?? null,
+        disk: t.disk || null,
+        eol: tabEol(t),
+        encoding: tabEncoding(t),
+        kind: t.kind || null,
+        large: !!t.large,
+        project: t.project || null,
+        handle: persistableHandle(handle)
+      });
+      written.push([t, versionId, metaKey, handle]);
+    }
+
+    // Only closed tabs need deleting; no need to scan the whole store.
+    const deletes = Array.from(closedDocIds).filter(id => !state.tabs.some(t => t.id === id));
+
+    const order = state.tabs.map(t => t.id);
+    const orderKey = order.join("|");
+    const activeId = state.activeId;
+
+    const viewStates = collectTabViewStates();
+    const viewStatesKey = JSON.stringify(viewStates);
+    const view = collectSessionView();
+    const viewKey = JSON.stringify(view);
+
+    const kv = {};
+    if (orderKey !== persistedOrderKey) kv[wsKey("session_order")] = order;
+    if (activeId !== persistedActiveId) kv[wsKey("session_activeId")] = activeId;
+    if (viewStatesKey !== persistedViewStatesKey) kv[wsKey("session_viewStates")] = viewStates;
+    if (viewKey !== persistedViewKey) kv[wsKey("session_view")] = view;
+
+    const compareKey = compareDocKey();
+    if (compareKey !== persistedCompareKey) kv[wsKey("session_compare")] = collectCompareDoc();
+
+    if (!puts.length && !deletes.length && !Object.keys(kv).length) return;
+
+    try {
+      await docsCommit({ puts, deletes, kv });
+    } catch (e) {
+      console.warn("[Moonskai] Session persist failed:", e);
+      if (isQuotaError(e)) showStorageBanner("Browser storage is full, so recent edits to unsaved tabs aren't being kept.");
+      return;
+    }
+
+    for (const [t, versionId, metaKey, handle] of written) markTabPersisted(t, versionId, metaKey, handle);
+    for (const id of deletes) closedDocIds.delete(id);
+    persistedOrderKey = orderKey;
+    persistedActiveId = activeId;
+    persistedViewStatesKey = viewStatesKey;
+    persistedViewKey = viewKey;
+    persistedCompareKey = compareKey;
+  }
+
+
+
+  // Restore tab order (docs come back in key order); unknown docs go last.
+  function sortDocsByOrder(docs, order) {
+    if (!Array.isArray(order)) return docs;
+    const rank = new Map(order.map((id, i) => [id, i]));
+    return docs.sort((a, b) => (rank.has(a.id) ? rank.get(a.id) : Infinity) - (rank.has(b.id) ? rank.get(b.id) : Infinity));
+  }
+
+  async function loadSession() {
+    const docs = await docsListForWorkspace(state.workspace.id);
+    state.tabs = [];
+
+    const order = await kvGet(wsKey("session_order"));
+    const viewStates = (await kvGet(wsKey("session_viewStates"))) || {};
+    sortDocsByOrder(docs, order);
+
+        for (const d of docs) {
+            const tab = await createTab({
+        name: d.name,
+        content: d.content,
+        language: d.language,
+        handle: d.handle || (await projectFileHandle(d.project)),
+        eol: d.eol || null,
+        encoding: d.encoding || null
+      });
+
+      tab.id = d.id; // preserve id
+      tab.pinned = !!d.pinned;
+      tab.viewState = viewStates[d.id] || null; // cursor, selections, scroll, folding
+      tab.disk = d.disk || null; // changes made while we were closed show up on the first check
+      tab.kind = d.kind || null;
+      tab.readOnly = d.kind === "hex";
+      tab.large = !!d.large;
+      tab.project = d.project || null;
+
+      // createTab() made the restored content the save point; move it back to what was saved.
+      restoreSavePoint(tab, d);
+      markTabPersisted(tab, tab.model.getAlternativeVersionId(), docMetaKey(tab), tab.handle);
+      // NOTE: createTab() already pushes into state.tabs
+    }
+    persistedOrderKey = Array.isArray(order) ? order.join("|") : null;
+    persistedViewStatesKey = JSON.stringify(viewStates);
+    keepPinnedTabsFirst();
+
+
+    const activeId = await kvGet(wsKey("session_activeId"));
+    persistedActiveId = activeId;
+    if (activeId && state.tabs.some(t => t.id === activeId)) {
+      state.activeId = activeId;
+    } else if (state.tabs.length > 0) {
+      state.activeId = state.tabs[0].id;
+    }
+
+    renderTabs();
+    if (state.activeId) setActiveTab(state.activeId);
+  }
+
+  // Before wiping stored docs: a pending write would put the open tabs straight back,
+  // so cancel it and refuse new ones until the reload that follows.
+  async function stopSessionPersist() {
+    if (persistTimer) {
+      clearTimeout(persistTimer);
+      persistTimer = null;
+    }
+    sessionRestored = false;
+    if (persistInFlight) await persistInFlight;
+  }
+
+  async function clearSessionDocs() {
+    await stopSessionPersist();
+
+    // Only the current workspace; the folder stays attached.
+    const keys = WORKSPACE_KV_KEYS.filter(k => k !== "explorer_root").map(k => wsKey(k));
+    await workspaceDeleteStored(state.workspace.id, keys);
+  }
+  async function purgeSessionDocsByNameFragment(fragment) {
+    const needle = String(fragment || "").trim().toLowerCase();
+    if (!needle) return 0;
+
+    await stopSessionPersist();
+    const docs = await docsListForWorkspace(state.workspace.id);
+    let removed = 0;
+
+    for (const d of docs) {
+      const name = String(d && d.name ? d.name : "").toLowerCase();
+      if (name.includes(needle)) {
+        await docsDelete(d.id);
+        removed++;
+      }
+    }
+
+    // If the active tab was purged, clear the pointer
+    try {
+      const activeId = await kvGet(wsKey("session_activeId"));
+      if (activeId && docs.some(x => x.id === activeId && String(x.name || "").toLowerCase().includes(needle))) {
+        await kvSet(wsKey("session_activeId"), null);
+      }
+    } catch (_) {}
+
+    return removed;
+  }
+
+  async function ensureStartTab() {
+    if (state.tabs.length) return;
+    const tab = await createTab({
+      name: "untitled",
+      content: "",
+      language: "plaintext",
+      handle: null
+    });
+    state.activeId = tab.id;
+    editor.setModel(tab.model);
+    renderTabs();
+    updateDirtyUI();
+  }
+
+  // ---------------------------
+  // Named workspaces (each has its own tabs, compare, layout and folder)
+  // ---------------------------
+  // kv keys that belong to one workspace.
+  const WORKSPACE_KV_KEYS = [
+    "session_activeId",
+    "session_order",
+    "session_viewStates",
+    "session_view",
+    "session_compare",
+    "closed_tabs",
+    "explorer_root"
+  ];
+
+  // The default workspace keeps the original unscoped keys, so older data needs no migration.
+  function wsKey(key, workspaceId = state.workspace.id) {
+    return workspaceId === DEFAULT_WORKSPACE_ID ? key : `${key}@${workspaceId}`;
+  }
+
+  function currentWorkspace() {
+    return state.workspace.list.find(w => w.id === state.workspace.id) || null;
+  }
+
+  async function loadWorkspaces() {
+    let list = null;
+    let current = null;
+    try {
+      list = await kvGet("workspaces");
+      current = await kvGet("workspace_current");
+    } catch (_) {}
+
+    if (!Array.isArray(list) || !list.length) list = [{ id: DEFAULT_WORKSPACE_ID, name: "Default", createdAt: Date.now() }];
+
+    state.workspace.list = list;
+    state.workspace.id = list.some(w => w.id === current) ? current : list[0].id;
+    renderWorkspaceSelect();
+  }
+
+  // Other windows edit the same list, so re-read it before applying a change.
+  async function updateWorkspaceList(mutate) {
+    let list = state.workspace.list;
+    try {
+      const stored = await kvGet("workspaces");
+      if (Array.isArray(stored) && stored.length) list = stored;
+    } catch (_) {}
+
+    state.workspace.list = mutate(list.slice());
+    try {
+      await kvSet("workspaces", state.workspace.list);
+    } catch (e) {
+      console.warn("[Moonskai] Could not store workspaces:", e);
+    }
+    renderWorkspaceSelect();
+    broadcastWindowMessage({ type: "workspaces-changed" });
+  }
+
+  async function reloadWorkspaceList() {
+    try {
+      const list = await kvGet("workspaces");
+      if (Array.isArray(list) && list.length) state.workspace.list = list;
+    } catch (_) {}
+    await refreshWorkspaceBusy();
+  }
+
+  function renderWorkspaceSelect() {
+    if (!ui.workspaceSelect) return;
+    ui.workspaceSelect.innerHTML = "";
+    for (const w of state.workspace.list) {
+      const opt = document.createElement("option");
+      opt.value = w.id;
+      opt.textContent = windowSync.busy.has(w.id) ? `${w.name} (other window)` : w.name;
+      ui.workspaceSelect.appendChild(opt);
+    }
+    ui.workspaceSelect.value = state.workspace.id;
+  }
+
+  function promptWorkspaceName(message, initial, exceptId = null) {
+    const raw = prompt(message, initial || "");
+    if (raw == null) return null;
+    const name = String(raw).trim();
+    if (!name) return null;
+
+    if (state.workspace.list.some(w => w.id !== exceptId && w.name.toLowerCase() === name.toLowerCase())) {
+      setStatus(`A workspace named "${name}" already exists`);
+      return null;
+    }
+    return name;
+  }
+
+  function uniqueWorkspaceName(base) {
+    const taken = new Set(state.workspace.list.map(w => w.name.toLowerCase()));
+    if (!taken.has(base.toLowerCase())) return base;
+    let i = 2;
+    while (taken.has(`${base} ${i}`.toLowerCase())) i++;
+    return `${base} ${i}`;
+  }
+
+  // Tear down everything that belongs to the loaded workspace (it's already persisted).
+  function unloadWorkspace() {
+    sessionRestored = false;
+
+    if (replacePreview) endReplacePreview({ restoreView: false });
+    cancelFindInFiles();
+    if (isDiffMode()) setViewMode("split");
+    try { diffEditor && diffEditor.setModel(null); } catch (_) {}
+
+    for (const t of state.tabs) {
+      hideBanner(`file-shared:${t.id}`);
+      hideBanner(`disk:${t.id}`);
+      hideBanner(`eol:${t.id}`);
+      try { t.model.dispose(); } catch (_) {}
+    }
+    state.tabs = [];
+    state.activeId = null;
+    hideBanner("permissions");
+
+    closedTabs = [];
+    closedDocIds.clear();
+    persistedOrderKey = null;
+    persistedActiveId = undefined;
+    persistedViewStatesKey = null;
+    persistedViewKey = null;
+    persistedCompareKey = null;
+
+    clearCompareFile();
+    state.view.layout = "split";
+    state.scrollLock.enabled = false;
+    state.scrollLock.lineDelta = 0;
+  }
+
+  async function loadWorkspace() {
+    startScreenMode = "auto";
+    await loadSession();
+    await loadClosedTabs();
+    await restoreExplorer();
+    await ensureStartTab();
+    await refreshHandlePermissions();
+
+    const t = activeTab();
+    if (t) ui.languageSelect.value = t.language;
+
+    applySplitLayout();
+    await restoreSessionView();
+    sessionRestored = true;
+    persistSessionSoon();
+    renderTimelineIfVisible();
+  }
+
+  // `release` is passed when the caller already holds the target's lock.
+  async function switchWorkspace(id, { release = null } = {}) {
+    const target = state.workspace.list.find(w => w.id === id);
+    if (!target || id === state.workspace.id) {
+      if (release) release();
+      renderWorkspaceSelect();
+      return false;
+    }
+
+    if (!release) release = await acquireWorkspaceLock(id);
+    if (!release) {
+      renderWorkspaceSelect();
+      showBanner({
+        id: "workspace-busy",
+        message: `"${target.name}" is open in another window.`,
+        actions: [{ label: "Move it here", primary: true, action: () => takeOverWorkspace(id) }]
+      });
+      return false;
+    }
+
+    await flushSession();
+    unloadWorkspace();
+    releaseWorkspaceLock();
+    windowSync.release = release;
+    hideBanner("workspace-busy");
+
+    state.workspace.id = id;
+    windowSync.busy.delete(id);
+    renderWorkspaceSelect();
+    broadcastWindowMessage({ type: "locks-changed" });
+    try { await kvSet("workspace_current", id); } catch (_) {}
+
+    await loadWorkspace();
+    setStatus(`Workspace: ${target.name}`);
+    return true;
+  }
+
+  async function createWorkspace() {
+    const name = promptWorkspaceName("New workspace name:", uniqueWorkspaceName("workspace"));
+    if (!name) return;
+
+    const w = { id: uuid(), name, createdAt: Date.now() };
+    await updateWorkspaceList(list => [...list, w]);
+    await switchWorkspace(w.id);
+  }
+
+  async function renameWorkspace(id = state.workspace.id) {
+    const w = state.workspace.list.find(x => x.id === id);
+    if (!w) return;
+    const name = promptWorkspaceName("Rename workspace:", w.name, w.id);
+    if (!name || name === w.name) return;
+
+    // A renamed window workspace is one the user wants to keep.
+    await updateWorkspaceList(list => list.map(x => (x.id === id ? { ...x, name, temp: false } : x)));
+    setStatus(`Workspace renamed to ${name}`);
+  }
+
+  // Copies docs (under new ids) and the workspace's kv state; history stays with the originals.
+  async function duplicateWorkspace(id = state.workspace.id) {
+    const src = state.workspace.list.find(x => x.id === id);
+    if (!src) return;
+    const name = promptWorkspaceName("Duplicate workspace as:", uniqueWorkspaceName(`${src.name} copy`));
+    if (!name) return;
+
+    if (id === state.workspace.id) await flushSession();
+    const target = { id: uuid(), name, createdAt: Date.now() };
+
+    try {
+      const docs = await docsListForWorkspace(src.id);
+      const idMap = new Map(docs.map(d => [d.id, uuid()]));
+      const puts = docs.map(d => ({ ...d, id: idMap.get(d.id), workspace: target.id }));
+
+      const kv = {};
+      for (const key of WORKSPACE_KV_KEYS) {
+        let value = await kvGet(wsKey(key, src.id));
+        if (value == null) continue;
+
+        if (key === "session_activeId") value = idMap.get(value) || null;
+        if (key === "session_order" && Array.isArray(value)) value = value.map(x => idMap.get(x)).filter(Boolean);
+        if (key === "session_viewStates") {
+          value = Object.fromEntries(Object.entries(value).filter(([k]) => idMap.has(k)).map(([k, vs]) => [idMap.get(k), vs]));
+        }
+        if (key === "closed_tabs" && Array.isArray(value)) value = value.map(c => ({ ...c, id: uuid() }));
+
+        kv[wsKey(key, target.id)] = value;
+      }
+
+      await docsCommit({ puts, kv });
+    } catch (e) {
+      console.warn("[Moonskai] Duplicate workspace failed:", e);
+      setStatus("Duplicate failed");
+      return;
+    }
+
+    await updateWorkspaceList(list => [...list, target]);
+    await switchWorkspace(target.id);
+  }
+
+  async function deleteWorkspace(id = state.workspace.id) {
+    const w = state.workspace.list.find(x => x.id === id);
+    if (!w) return;
+    if (state.workspace.list.length <= 1) {
+      setStatus("Can't delete the only workspace");
+      return;
+    }
+    await refreshWorkspaceBusy();
+    if (windowSync.busy.has(id)) {
+      setStatus(`"${w.name}" is open in another window`);
+      return;
+    }
+    if (!confirm(`Delete workspace "${w.name}" and all of its stored tabs?\n\nFiles on disk are not touched.`)) return;
+
+    if (id === state.workspace.id) {
+      const next = state.workspace.list.find(x => x.id !== id && !windowSync.busy.has(x.id));
+      if (!next || !(await switchWorkspace(next.id))) {
+        setStatus("Every other workspace is open in another window");
+        return;
+      }
+    }
+
+    try {
+      await workspaceDeleteStored(id, WORKSPACE_KV_KEYS.map(k => wsKey(k, id)));
+    } catch (e) {
+      console.warn("[Moonskai] Delete workspace failed:", e);
+    }
+
+    await updateWorkspaceList(list => list.filter(x => x.id !== id));
+    setStatus(`Deleted workspace ${w.name}`);
+  }
+
+  function showWorkspaceMenu() {
+    const r = ui.workspaceMenuBtn.getBoundingClientRect();
+    const only = state.workspace.list.length <= 1;
+    showContextMenu(r.left, r.bottom + 4, [
+      { label: "New Workspace…", action: createWorkspace },
+      { label: "Rename…", action: () => renameWorkspace() },
+      { label: "Duplicate…", action: () => duplicateWorkspace() },
+      "-",
+      { label: "Delete", danger: true, disabled: only, title: only ? "The only workspace can't be deleted" : "", action: () => deleteWorkspace() }
+    ]);
+  }
+
+  function bindWorkspaceUI() {
+    if (ui.workspaceSelect) {
+      ui.workspaceSelect.addEventListener("change", () => switchWorkspace(ui.workspaceSelect.value));
+    }
+    if (ui.workspaceMenuBtn) ui.workspaceMenuBtn.addEventListener("click", showWorkspaceMenu);
+  }
+
+  // ---------------------------
+  // Banners (non-modal notices above the editor)
+  // ---------------------------
+  // actions: [{ label, action, primary }]. Showing the same id again replaces that banner.
+  function showBanner({ id, message, kind = "info", actions = [], dismissible = true }) {
+    if (!ui.bannerHost) return null;
+    hideBanner(id);
+
+    const el = document.createElement("div");
+    el.className = `banner ${kind}`;
+    el.setAttribute("data-banner", id);
+    el.setAttribute("role", kind === "warn" ? "alert" : "status");
+
+    const msg = document.createElement("div");
+    msg.className = "banner-msg";
+    msg.textContent = message;
+    el.appendChild(msg);
+
+    for (const a of actions) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = `btn banner-btn${a.primary ? " primary" : ""}`;
+      btn.textContent = a.label;
+      btn.addEventListener("click", async () => {
+        hideBanner(id);
+        try { await a.action(); } catch (e) { console.warn("[Moonskai] Banner action failed:", e); }
+      });
+      el.appendChild(btn);
+    }
+
+    if (dismissible) {
+      const close = document.createElement("button");
+      close.type = "button";
+      close.className = "icon-btn";
+      close.title = "Dismiss";
+      close.textContent = "×";
+      close.addEventListener("click", () => hideBanner(id));
+      el.appendChild(close);
+    }
+
+    ui.bannerHost.appendChild(el);
+    return el;
+  }
+
+  function hideBanner(id) {
+    if (!ui.bannerHost) return;
+    ui.bannerHost.querySelectorAll(`[data-banner="${CSS.escape(id)}"]`).forEach(el => el.remove());
+  }
+
+  // ---------------------------
+  // Multi-window coordination (Web Locks + BroadcastChannel)
+  // ---------------------------
+  // Each window holds an exclusive lock on the workspace it has loaded, so two windows never
+  // write the same tab set. Windows also tell each other about edits/saves to the same file.
+  const WORKSPACE_LOCK_PREFIX = "moonskai-workspace:";
+  const FILE_DIRTY_BROADCAST_MS = 5000; // at most one "still editing" notice per tab in this interval
+
+  const windowSync = {
+    id: uuid(),
+    channel: null,
+    locks: !!(navigator.locks && typeof navigator.locks.request === "function"),
+    release: null, // releases the lock on the loaded workspace
+    busy: new Set() // workspaces loaded by other windows
+  };
+
+  // Resolves with a release function, or null if another window has it.
+  function acquireWorkspaceLock(workspaceId, { waitMs = 0 } = {}) {
+    if (!windowSync.locks) return Promise.resolve(() => {});
+
+    return new Promise((resolve) => {
+      const opts = {};
+      let timer = null;
+      if (waitMs > 0) {
+        const ctrl = new AbortController();
+        timer = setTimeout(() => ctrl.abort(), waitMs);
+        opts.signal = ctrl.signal;
+      } else {
+        opts.ifAvailable = true;
+      }
+
+      navigator.locks.request(WORKSPACE_LOCK_PREFIX + workspaceId, opts, (lock) => {
+        if (timer) clearTimeout(timer);
+        if (!lock) {
+          resolve(null);
+          return null;
+        }
+        return new Promise((release) => resolve(release));
+      }).catch(() => resolve(null));
+    });
+  }
+
+  function releaseWorkspaceLock() {
+    const release = windowSync.release;
+    windowSync.release = null;
+    if (release) release();
+  }
+
+  async function refreshWorkspaceBusy() {
+    if (!windowSync.locks || typeof navigator.locks.query !== "function") return;
+    try {
+      const { held = [] } = await navigator.locks.query();
+      windowSync.busy = new Set(
+        held
+          .map(l => String(l.name || ""))
+          .filter(n => n.startsWith(WORKSPACE_LOCK_PREFIX))
+          .map(n => n.slice(WORKSPACE_LOCK_PREFIX.length))
+          .filter(id => id !== state.workspace.id)
+      );
+    } catch (_) {}
+    renderWorkspaceSelect();
+  }
+
+  // Boot: keep the last-used workspace if it's free, otherwise take a free one (or start a new one).
+  async function claimWorkspaceForWindow() {
+    const wanted = currentWorkspace();
+    let release = await acquireWorkspaceLock(state.workspace.id);
+
+    if (!release) {
+      for (const w of state.workspace.list) {
+        if (w.id === state.workspace.id) continue;
+        release = await acquireWorkspaceLock(w.id);
+        if (release) {
+          state.workspace.id = w.id;
+          break;
+        }
+      }
+    }
+
+    if (!release) {
+      // Temporary: pruned once no window has it and it holds no tabs (see pruneWindowWorkspaces).
+      const w = { id: uuid(), name: uniqueWorkspaceName("Window"), createdAt: Date.now(), temp: true };
+      await updateWorkspaceList(list => [...list, w]);
+      state.workspace.id = w.id;
+      release = await acquireWorkspaceLock(w.id);
+    }
+
+    windowSync.release = release;
+    broadcastWindowMessage({ type: "locks-changed" });
+    await pruneWindowWorkspaces();
+    await refreshWorkspaceBusy();
+
+    const now = currentWorkspace();
+    if (wanted && now && wanted.id !== now.id) {
+      showBanner({
+        id: "workspace-busy",
+        message: `"${wanted.name}" is open in another window, so this window uses "${now.name}".`,
+        actions: [{ label: `Move "${wanted.name}" here`, action: () => takeOverWorkspace(wanted.id) }]
+      });
+    }
+  }
+
+  // The untouched start tab every window opens with (see ensureStartTab) doesn't count as content.
+  function isBlankStartDoc(d) {
+    return !!d && !d.handle && !d.project && !d.dirty && !d.kind && !String(d.content ?? "");
+  }
+
+  // Drop "Window N" workspaces made for extra windows once those windows are gone and left nothing but blank tabs.
+  // `waitFor` is a workspace whose window is closing right now: wait briefly for its lock instead of skipping it.
+  async function pruneWindowWorkspaces({ waitFor = null } = {}) {
+    if (!windowSync.locks) return;
+
+    const stale = [];
+    for (const w of state.workspace.list) {
+      if (!w.temp || w.id === state.workspace.id) continue;
+      const release = await acquireWorkspaceLock(w.id, w.id === waitFor ? { waitMs: 3000 } : {});
+      if (!release) continue; // still open somewhere
+      try {
+        if ((await docsListForWorkspace(w.id)).every(isBlankStartDoc)) {
+          await workspaceDeleteStored(w.id, WORKSPACE_KV_KEYS.map(k => wsKey(k, w.id)));
+          stale.push(w.id);
+        }
+      } catch (e) {
+        console.warn("[Moonskai] Could not remove window workspace:", w.name, e);
+      } finally {
+        release();
+      }
+    }
+
+    if (stale.length) await updateWorkspaceList(list => list.filter(x => !stale.includes(x.id)));
+  }
+
+  // Ask the owning window to let go of a workspace, then switch to it.
+  async function takeOverWorkspace(workspaceId) {
+    const w = state.workspace.list.find(x => x.id === workspaceId);
+    if (!w) return;
+
+    setStatus(`Asking the other window to release "${w.name}"…`);
+    broadcastWindowMessage({ type: "release-workspace", workspace: workspaceId });
+
+    const release = await acquireWorkspaceLock(workspaceId, { waitMs: 5000 });
+    if (!release) {
+      setStatus(`"${w.name}" is still busy in another window`);
+      return;
+    }
+    await switchWorkspace(workspaceId, { release });
+  }
+
+  // Another window wants our workspace: move to a free one.
+  async function yieldWorkspace() {
+    const prev = currentWorkspace();
+    await refreshWorkspaceBusy();
+
+    let target = state.workspace.list.find(w => w.id !== state.workspace.id && !windowSync.busy.has(w.id));
+    if (!target) {
+      target = { id: uuid(), name: uniqueWorkspaceName("Window"), createdAt: Date.now(), temp: true };
+      await updateWorkspaceList(list => [...list, target]);
+    }
+
+    if (!(await switchWorkspace(target.id))) return;
+    showBanner({
+      id: "workspace-busy",
+      message: `"${prev ? prev.name : "The workspace"}" moved to another window; this window now shows "${target.name}".`
+    });
+  }
+
+  function broadcastWindowMessage(msg) {
+    if (!windowSync.channel) return;
+    try {
+      windowSync.channel.postMessage({ ...msg, from: windowSync.id });
+    } catch (e) {
+      // Handles don't clone everywhere; send without it.
+      if (msg.handle) {
+        try { windowSync.channel.postMessage({ ...msg, handle: null, from: windowSync.id }); } catch (_) {}
+      }
+    }
+  }
+
+  // Sent on edits (throttled), not only when the dirty flag flips, so windows that open the file later still hear about it.
+  function broadcastFileDirty(tab) {
+    const now = Date.now();
+    if (now - (tab.dirtyBroadcastAt || 0) < FILE_DIRTY_BROADCAST_MS) return;
+    tab.dirtyBroadcastAt = now;
+    broadcastWindowMessage({ type: "file-dirty", handle: tab.handle, name: tab.name });
+  }
+
+  async function tabsForFile(handle) {
+    const out = [];
+    if (!handle) return out;
+    for (const t of state.tabs) {
+      if (!t.handle) continue;
+      try {
+        if (await t.handle.isSameEntry(handle)) out.push(t);
+      } catch (_) {}
+    }
+    return out;
+  }
+
+  async function onWindowMessage(msg) {
+    if (!msg || msg.from === windowSync.id) return;
+
+    switch (msg.type) {
+      case "workspaces-changed":
+        await reloadWorkspaceList();
+        break;
+
+      case "locks-changed":
+        await refreshWorkspaceBusy();
+        break;
+
+      case "window-closed":
+        await pruneWindowWorkspaces({ waitFor: msg.workspace });
+        await refreshWorkspaceBusy();
+        break;
+
+      case "release-workspace":
+        if (msg.workspace === state.workspace.id) await yieldWorkspace();
+        break;
+
+      case "file-dirty":
+        for (const t of await tabsForFile(msg.handle)) {
+          showBanner({
+            id: `file-shared:${t.id}`,
+            kind: "warn",
+            message: `"${t.name}" is also being edited in another window. Saving in both will overwrite one set of changes.`
+          });
+        }
+        break;
+
+      case "file-saved":
+        for (const t of await tabsForFile(msg.handle)) {
+          hideBanner(`file-shared:${t.id}`);
+          await checkTabOnDisk(t, { by: "another window" });
+        }
+        break;
+    }
+  }
+
+  function startWindowSync() {
+    if (typeof BroadcastChannel === "function") {
+      windowSync.channel = new BroadcastChannel("moonskai-editor");
+      windowSync.channel.onmessage = (e) => { onWindowMessage(e.data); };
+    }
+
+    window.addEventListener("focus", refreshWorkspaceBusy);
+    // Lets the remaining windows drop this window's workspace if it was a temporary one left blank.
+    window.addEventListener("pagehide", () => {
+      broadcastWindowMessage({ type: "window-closed", workspace: state.workspace.id });
+    });
+  }
+
+  // ---------------------------
+  // Zip archives (no dependencies; deflate via CompressionStream when available)
+  // ---------------------------
+  let crcTable = null;
+
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  async function pipeBytes(bytes, stream) {
+    const out = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await out.arrayBuffer());
+  }
+
+  async function deflateRaw(bytes) {
+    if (typeof CompressionStream !== "function") return null;
+    try {
+      return await pipeBytes(bytes, new CompressionStream("deflate-raw"));
+    } catch (_) {
+      return null; // "deflate-raw" not supported here; store instead
+    }
+  }
+
+  async function inflateRaw(bytes) {
+    if (typeof DecompressionStream !== "function") throw new Error("This browser can't read compressed zip entries");
+    return pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+  }
+
+  function dosDateTime(d) {
+    const time = (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2);
+    const date = (Math.max(0, d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+    return { time, date };
+  }
+
+  // entries: [{ name: "dir/file.txt", data: string | Uint8Array, date?: Date }]
+  async function zipCreate(entries) {
+    const enc = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+      const name = enc.encode(String(entry.name).replace(/^\/+/, ""));
+      const data = typeof entry.data === "string" ? enc.encode(entry.data) : new Uint8Array(entry.data || []);
+      const crc = crc32(data);
+
+      const deflated = data.length > 64 ? await deflateRaw(data) : null;
+      const useDeflate = !!deflated && deflated.length < data.length;
+      const body = useDeflate ? deflated : data;
+      const { time, date } = dosDateTime(entry.date || new Date());
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 names
+      local.setUint16(8, useDeflate ? 8 : 0, true);
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, body.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+
+      const cd = new DataView(new ArrayBuffer(46));
+      cd.setUint32(0, 0x02014b50, true);
+      cd.setUint16(4, 20, true);
+      cd.setUint16(6, 20, true);
+      cd.setUint16(8, 0x0800, true);
+      cd.setUint16(10, useDeflate ? 8 : 0, true);
+      cd.setUint16(12, time, true);
+      cd.setUint16(14, date, true);
+      cd.setUint32(16, crc, true);
+      cd.setUint32(20, body.length, true);
+      cd.setUint32(24, data.length, true);
+      cd.setUint16(28, name.length, true);
+      cd.setUint32(42, offset, true);
+
+      parts.push(new Uint8Array(local.buffer), name, body);
+      central.push(new Uint8Array(cd.buffer), name);
+      offset += 30 + name.length + body.length;
+    }
+
+    const cdSize = central.reduce((n, p) => n + p.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, cdSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type: "application/zip" });
+  }
+
+  // Map of entry name -> bytes. Directory entries keep their trailing "/" and have no bytes.
+  async function zipRead(blob) {
+    const buf = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+    const dec = new TextDecoder();
+
+    let eocd = -1;
+    for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd < 0) throw new Error("Not a zip file");
+
+    const count = view.getUint16(eocd + 10, true);
+    let p = view.getUint32(eocd + 16, true);
+    const files = new Map();
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(p, true) !== 0x02014b50) throw new Error("Corrupt zip directory");
+      const method = view.getUint16(p + 10, true);
+      const crc = view.getUint32(p + 16, true);
+      const csize = view.getUint32(p + 20, true);
+      const nameLen = view.getUint16(p + 28, true);
+      const extraLen = view.getUint16(p + 30, true);
+      const commentLen = view.getUint16(p + 32, true);
+      const localOffset = view.getUint32(p + 42, true);
+      const name = dec.decode(buf.subarray(p + 46, p + 46 + nameLen));
+      p += 46 + nameLen + extraLen + commentLen;
+
+      if (name.endsWith("/")) {
+        files.set(name, new Uint8Array(0));
+        continue;
+      }
+
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const raw = buf.subarray(dataStart, dataStart + csize);
+
+      let data;
+      if (method === 0) data = raw.slice();
+      else if (method === 8) data = await inflateRaw(raw);
+      else {
+        console.warn("[Moonskai] Skipping zip entry with unsupported compression:", name, method);
+        continue;
+      }
+
+      if (crc32(data) !== crc) throw new Error(`Corrupt zip entry: ${name}`);
+      files.set(name, data);
+    }
+
+    return files;
+  }
+
+  function downloadBlob(blob, filename) {
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  // ---------------------------
+  // Workspace export / import (.zip backup)
+  // ---------------------------
+  const WORKSPACE_ARCHIVE_FORMAT = "moonskai-workspace";
+  const WORKSPACE_ARCHIVE_MANIFEST = "moonskai-workspace.json";
+
+  function archiveSafeName(name) {
+    return String(name || "untitled").replace(/[\\/:*?"<>|\u0000-\u001f]/g, "_").slice(0, 120) || "untitled";
+  }
+
+  // Everything in the current workspace plus settings and plugins. File handles can't be exported.
+  async function exportWorkspace() {
+    await flushSession();
+
+    const ws = currentWorkspace();
+    const wsId = state.workspace.id;
+
+    try {
+      const [docs, order, activeId, viewStates, view, compare, plugins] = await Promise.all([
+        docsListForWorkspace(wsId),
+        kvGet(wsKey("session_order")),
+        kvGet(wsKey("session_activeId")),
+        kvGet(wsKey("session_viewStates")),
+        kvGet(wsKey("session_view")),
+        kvGet(wsKey("session_compare")),
+        pluginsList().catch(() => [])
+      ]);
+      sortDocsByOrder(docs, order);
+
+      const files = [];
+      const manifest = {
+        format: WORKSPACE_ARCHIVE_FORMAT,
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        workspace: { name: ws ? ws.name : "Workspace" },
+        settings: { ...state.settings },
+        layout: {
+          activeIndex: Math.max(0, docs.findIndex(d => d.id === activeId)),
+          view: view || null,
+          compare: compare ? { name: compare.name, language: compare.language, content: compare.content } : null
+        },
+        docs: [],
+        plugins: []
+      };
+
+      docs.forEach((d, i) => {
+        const path = `docs/${String(i + 1).padStart(3, "0")}-${archiveSafeName(d.name)}`;
+        files.push({ name: path, data: String(d.content ?? "") });
+        manifest.docs.push({
+          path,
+          name: d.name,
+          language: d.language,
+          dirty: !!d.dirty,
+          pinned: !!d.pinned,
+          savedHash: d.savedHash || null,
+          savedLength: d.savedLength ?? null,
+          viewState: (viewStates && viewStates[d.id]) || null
+        });
+      });
+
+      (plugins || []).forEach((pl, i) => {
+        const path = `plugins/${String(i + 1).padStart(2, "0")}-${archiveSafeName(pl.name || pl.id)}.js`;
+        files.push({ name: path, data: String(pl.code ?? "") });
+        manifest.plugins.push({ path, id: pl.id, name: pl.name, enabled: pl.enabled !== false, addedAt: pl.addedAt || null });
+      });
+
+      files.unshift({ name: WORKSPACE_ARCHIVE_MANIFEST, data: JSON.stringify(manifest, null, 2) });
+
+      const blob = await zipCreate(files);
+      const stamp = new Date().toISOString().slice(0, 10);
+      downloadBlob(blob, `moonskai-${archiveSafeName(manifest.workspace.name)}-${stamp}.zip`);
+      setStatus(`Exported ${docs.length} doc(s), ${manifest.plugins.length} plugin(s)`);
+    } catch (e) {
+      console.warn("[Moonskai] Export failed:", e);
+      setStatus("Export failed");
+    }
+  }
+
+  async function readWorkspaceArchive(file) {
+    const entries = await zipRead(file);
+    const raw = entries.get(WORKSPACE_ARCHIVE_MANIFEST);
+    if (!raw) throw new Error("Not a Moonskai workspace export");
+
+    const dec = new TextDecoder();
+    const manifest = JSON.parse(dec.decode(raw));
+    if (!manifest || manifest.format !== WORKSPACE_ARCHIVE_FORMAT) throw new Error("Not a Moonskai workspace export");
+
+    const text = (path) => (entries.has(path) ? dec.decode(entries.get(path)) : null);
+    const docs = (manifest.docs || [])
+      .map(d => ({ ...d, content: text(d.path) }))
+      .filter(d => d.content !== null);
+    const plugins = (manifest.plugins || [])
+      .map(p => ({ ...p, code: text(p.path) }))
+      .filter(p => p.code !== null);
+
+    return { manifest, docs, plugins };
+  }
+
+  async function importWorkspaceFile(file) {
+    if (!file) return;
+
+    let archive;
+    try {
+      archive = await readWorkspaceArchive(file);
+    } catch (e) {
+      console.warn("[Moonskai] Import failed:", e);
+      setStatus(e && e.message ? e.message : "Import failed");
+      return;
+    }
+
+    const { manifest, docs, plugins } = archive;
+    const ws = currentWorkspace();
+    const choice = await askChoice({
+      title: `Import "${manifest.workspace && manifest.workspace.name ? manifest.workspace.name : file.name}"?`,
+      message: `${docs.length} doc(s) and ${plugins.length} plugin(s). Merge adds them to "${ws ? ws.name : "this workspace"}". ` +
+        "Replace swaps out this workspace's tabs and layout, your settings and your installed plugins. " +
+        "Plugins come in disabled unless you choose to run them.",
+      buttons: [
+        { value: "merge", label: "Merge", kind: "primary" },
+        { value: "replace", label: "Replace", kind: "danger" },
+        { value: "cancel", label: "Cancel" }
+      ]
+    });
+
+    if (choice !== "merge" && choice !== "replace") return;
+
+    // Plugins are code: nothing from an archive runs without an explicit yes.
+    let enablePlugins = false;
+    if (plugins.length) {
+      const run = await askChoice({
+        title: "Run the imported plugins?",
+        message: "Plugins run with full access to the editor and your files. Only enable them if you trust where this archive came from. " +
+          "Disabled plugins are stored but never run.",
+        items: plugins.map(p => p.name || p.id || "plugin"),
+        buttons: [
+          { value: "keep", label: "Import Disabled", kind: "primary" },
+          { value: "enable", label: "Enable and Run", kind: "danger" },
+          { value: "cancel", label: "Cancel Import" }
+        ]
+      });
+      if (run === "cancel") return;
+      enablePlugins = run === "enable";
+    }
+
+    try {
+      if (choice === "merge") await mergeWorkspaceArchive(archive, { enablePlugins });
+      else await replaceWorkspaceWithArchive(archive, { enablePlugins });
+    } catch (e) {
+      console.warn("[Moonskai] Import failed:", e);
+      setStatus("Import failed");
+    }
+  }
+
+  // Docs become new tabs here; plugins are added (disabled unless enablePlugins) unless already installed.
+  async function mergeWorkspaceArchive({ docs, plugins }, { enablePlugins = false } = {}) {
+    let firstTab = null;
+    for (const d of docs) {
+      const tab = await createTab({ name: d.name, content: d.content, language: d.language, handle: null });
+      restoreSavePoint(tab, d);
+      tab.viewState = d.viewState || null;
+      if (!firstTab) firstTab = tab;
+    }
+
+    let installed = [];
+    try { installed = await pluginsList(); } catch (_) {}
+    const known = new Set(installed.map(p => p.id));
+    let added = 0;
+    for (const p of plugins) {
+      if (p.id && known.has(p.id)) continue;
+      const record = { id: p.id || makePluginId(), name: p.name || "plugin", code: p.code, enabled: enablePlugins && p.enabled !== false, addedAt: p.addedAt || Date.now() };
+      await pluginsPut(record);
+      if (record.enabled) runPlugin(record);
+      added++;
+    }
+
+    renderTabs();
+    if (firstTab) setActiveTab(firstTab.id);
+    persistSessionSoon();
+    setStatus(`Imported ${docs.length} doc(s), ${added} new plugin(s)`);
+  }
+
+  // Rewrites this workspace's stored state, settings and plugins, then reloads.
+  async function replaceWorkspaceWithArchive({ manifest, docs, plugins }, { enablePlugins = false } = {}) {
+    await flushSession();
+    sessionRestored = false; // nothing from the old tabs may be written after this
+
+    const wsId = state.workspace.id;
+    const ids = docs.map(() => uuid());
+    const layout = manifest.layout || {};
+
+    const puts = docs.map((d, i) => ({
+      id: ids[i],
+      workspace: wsId,
+      name: d.name,
+      language: d.language,
+      content: d.content,
+      dirty: !!d.dirty,
+      pinned: !!d.pinned,
+      savedHash: d.savedHash || null,
+      savedLength: d.savedLength ?? null,
+      handle: null
+    }));
+
+    const viewStates = {};
+    docs.forEach((d, i) => { if (d.viewState) viewStates[ids[i]] = d.viewState; });
+
+    const kv = {
+      [wsKey("session_order")]: ids,
+      [wsKey("session_activeId")]: ids[layout.activeIndex] || ids[0] || null,
+      [wsKey("session_viewStates")]: viewStates,
+      [wsKey("session_view")]: layout.view || null,
+      [wsKey("session_compare")]: layout.compare ? { ...layout.compare, handle: null } : null,
+      [wsKey("closed_tabs")]: []
+    };
+
+    // Old docs go in the same transaction as the new ones, so a failed write leaves the workspace as it was.
+    const deletes = (await docsListForWorkspace(wsId)).map(d => d.id);
+    await docsCommit({ puts, deletes, kv });
+
+    await pluginsClearAll();
+    for (const p of plugins) {
+      await pluginsPut({ id: p.id || makePluginId(), name: p.name || "plugin", code: p.code, enabled: enablePlugins && p.enabled !== false, addedAt: p.addedAt || Date.now() });
+    }
+
+    if (manifest.settings && typeof manifest.settings === "object") {
+      state.settings = { ...DEFAULT_SETTINGS, ...manifest.settings };
+      persistSettings();
+    }
+
+    location.reload();
+  }
+
+  // ---------------------------
+  // Local history (per-doc snapshots in IndexedDB)
+  // ---------------------------
+  const HISTORY_INTERVAL_MS = 5 * 60 * 1000;
+  const HISTORY_MAX_PER_DOC = 50;
+  const HISTORY_MAX_CHARS_PER_DOC = 8 * 1024 * 1024;
+  const HISTORY_ORPHAN_DAYS = 30;
+
+  const HISTORY_REASON_LABELS = {
+    opened: "Opened",
+    save: "Saved",
+    autosave: "Autosaved",
+    interval: "Periodic",
+    manual: "Snapshot",
+    restore: "Before restore"
+  };
+
+  let historyTimer = null;
+  let timelineRenderSeq = 0;
+  let timelineEntries = [];
+
+  // Drop the oldest snapshots of a doc beyond the count / size budget (newest is always kept).
+  async function pruneHistoryForDoc(docId) {
+    const entries = await historyListForDoc(docId);
+    const drop = [];
+    let chars = 0;
+
+    entries.forEach((e, i) => {
+      chars += e.size || 0;
+      if (i > 0 && (i >= HISTORY_MAX_PER_DOC || chars > HISTORY_MAX_CHARS_PER_DOC)) drop.push(e.id);
+    });
+
+    if (drop.length) await historyDelete(drop);
+  }
+
+  async function recordHistorySnapshot(tab, reason) {
+    if (!tab || !tab.id || !tab.model || tab.model.isDisposed()) return false;
+
+    const versionId = tab.model.getAlternativeVersionId();
+    if (tab.historyVersionId === versionId) return false;
+
+    const content = tab.model.getValue();
+    if (content.length > HISTORY_MAX_CHARS_PER_DOC) return false;
+
+    try {
+      tab.historyVersionId = versionId;
+      const latest = await historyLatestForDoc(tab.id);
+      if (latest && latest.content === content) return false;
+
+      await historyPut({ docId: tab.id, name: tab.name, ts: Date.now(), reason, size: content.length, content });
+      await pruneHistoryForDoc(tab.id);
+
+      const cur = activeTab();
+      if (cur && cur.id === tab.id) renderTimelineIfVisible();
+      return true;
+    } catch (e) {
+      console.warn("[Moonskai] History snapshot failed:", e);
+      return false;
+    }
+  }
+
+  async function snapshotChangedTabs(reason) {
+    for (const t of state.tabs.slice()) {
+      if (!t || !t.model || t.model.isDisposed()) continue;
+      if (t.historyVersionId === t.model.getAlternativeVersionId()) continue;
+      await recordHistorySnapshot(t, reason);
+    }
+  }
+
+  function startHistoryTimer() {
+    if (historyTimer) clearInterval(historyTimer);
+    historyTimer = setInterval(() => { snapshotChangedTabs("interval"); }, HISTORY_INTERVAL_MS);
+
+    const cutoff = Date.now() - HISTORY_ORPHAN_DAYS * 24 * 60 * 60 * 1000;
+    historyPruneOrphans(cutoff).catch((e) => console.warn("[Moonskai] History cleanup failed:", e));
+  }
+
+  function formatSnapshotTime(ts) {
+    const d = new Date(ts);
+    const now = new Date();
+    const time = d.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit" });
+    if (d.toDateString() === now.toDateString()) return `Today ${time}`;
+
+    const y = new Date(now);
+    y.setDate(now.getDate() - 1);
+    if (d.toDateString() === y.toDateString()) return `Yesterday ${time}`;
+
+    return `${d.toLocaleDateString()} ${time}`;
+  }
+
+  function formatSize(chars) {
+    const n = Number(chars) || 0;
+    if (n < 1024) return `${n} B`;
+    if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+    return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  function renderTimelineIfVisible() {
+    if (state.explorer.visible && state.explorer.view === "history") renderTimeline();
+  }
+
+  async function renderTimeline() {
+    if (!ui.timelineList) return;
+    const seq = ++timelineRenderSeq;
+    const t = activeTab();
+
+    if (ui.timelineTitle) {
+      ui.timelineTitle.textContent = t ? t.name : "No file";
+      ui.timelineTitle.title = t ? t.name : "";
+    }
+    if (ui.timelineSnapshot) ui.timelineSnapshot.disabled = !t;
+    if (ui.timelineClear) ui.timelineClear.disabled = !t;
+
+    let entries = [];
+    if (t) {
+      try {
+        entries = await historyListForDoc(t.id);
+      } catch (e) {
+        console.warn("[Moonskai] Could not read history:", e);
+      }
+    }
+    if (seq !== timelineRenderSeq) return;
+
+    timelineEntries = entries;
+    ui.timelineList.innerHTML = "";
+
+    if (!entries.length) {
+      const empty = document.createElement("div");
+      empty.className = "tree-empty";
+      empty.textContent = t
+        ? "No snapshots yet. They're taken when you save, on autosave and every few minutes while you edit."
+        : "Open a tab to see its history.";
+      ui.timelineList.appendChild(empty);
+      return;
+    }
+
+    const frag = document.createDocumentFragment();
+    for (const e of entries) {
+      const row = document.createElement("div");
+      row.className = `timeline-row reason-${e.reason || "manual"}`;
+      row.setAttribute("data-id", String(e.id));
+      row.title = new Date(e.ts).toLocaleString();
+
+      const when = document.createElement("div");
+      when.className = "timeline-when";
+      when.textContent = formatSnapshotTime(e.ts);
+
+      const meta = document.createElement("div");
+      meta.className = "muted small";
+      meta.textContent = `${HISTORY_REASON_LABELS[e.reason] || e.reason || "Snapshot"} · ${formatSize(e.size)}`;
+
+      row.appendChild(when);
+      row.appendChild(meta);
+      frag.appendChild(row);
+    }
+    ui.timelineList.appendChild(frag);
+  }
+
+  function timelineEntryById(id) {
+    return timelineEntries.find((e) => String(e.id) === String(id)) || null;
+  }
+
+  async function loadSnapshotIntoCompare(entry, { diff = false } = {}) {
+    if (!entry) return;
+
+    // Make sure the COMPARE pane is actually visible.
+    if (state.view.layout === "single") {
+      state.view.layout = "split";
+      applySplitLayout();
+    }
+
+    await setCompareModelFromText(`${formatSnapshotTime(entry.ts)} — ${entry.name}`, entry.content, null);
+    if (diff && !isDiffMode()) setViewMode("diff");
+    setStatus("Snapshot loaded into COMPARE");
+  }
+
+  async function restoreSnapshot(entry) {
+    const t = activeTab();
+    if (!entry || !t || t.id !== entry.docId) return;
+
+    // Keep what we're about to replace, then restore as one undoable edit.
+    await recordHistorySnapshot(t, "restore");
+    t.model.pushStackElement();
+    t.model.pushEditOperations([], [{ range: t.model.getFullModelRange(), text: entry.content }], () => null);
+    t.model.pushStackElement();
+
+    setStatus("Snapshot restored (undo to revert)");
+  }
+
+  async function deleteSnapshot(entry) {
+    if (!entry) return;
+    try {
+      await historyDelete([entry.id]);
+    } catch (e) {
+      console.warn("[Moonskai] Could not delete snapshot:", e);
+    }
+    await renderTimeline();
+  }
+
+  async function clearTimelineForActiveTab() {
+    const t = activeTab();
+    if (!t || !timelineEntries.length) return;
+    if (!confirm(`Delete all ${timelineEntries.length} snapshot(s) of "${t.name}"?`)) return;
+
+    try {
+      await historyDelete(timelineEntries.map((e) => e.id));
+      t.historyVersionId = undefined;
+    } catch (e) {
+      console.warn("[Moonskai] Could not clear history:", e);
+    }
+    await renderTimeline();
+  }
+
+  function bindTimelineUI() {
+    if (!ui.timelineList) return;
+
+    if (ui.timelineSnapshot) {
+      ui.timelineSnapshot.addEventListener("click", async () => {
+        const t = activeTab();
+        if (!t) return;
+        t.historyVersionId = undefined;
+        const ok = await recordHistorySnapshot(t, "manual");
+        setStatus(ok ? "Snapshot taken" : "No changes since the last snapshot");
+      });
+    }
+    if (ui.timelineClear) ui.timelineClear.addEventListener("click", clearTimelineForActiveTab);
+
+    ui.timelineList.addEventListener("click", (e) => {
+      const row = e.target.closest(".timeline-row");
+      if (!row) return;
+      loadSnapshotIntoCompare(timelineEntryById(row.getAttribute("data-id")));
+    });
+
+    ui.timelineList.addEventListener("contextmenu", (e) => {
+      const row = e.target.closest(".timeline-row");
+      if (!row) return;
+      e.preventDefault();
+
+      const entry = timelineEntryById(row.getAttribute("data-id"));
+      showContextMenu(e.clientX, e.clientY, [
+        { label: "Load into COMPARE", action: () => loadSnapshotIntoCompare(entry) },
+        { label: "Diff with current", action: () => loadSnapshotIntoCompare(entry, { diff: true }) },
+        "-",
+        { label: "Restore this version", action: () => restoreSnapshot(entry) },
+        "-",
+        { label: "Delete snapshot", danger: true, action: () => deleteSnapshot(entry) }
+      ]);
+    });
+  }
+
+  // ---------------------------
+  // New tab
+  // ---------------------------
+  async function newTab() {
+    const tab = await createTab({
+      name: "untitled",
+      content: sampleForLanguage("flow"),
+      language: "flow"
+    });
+
+    state.activeId = tab.id;
+    renderTabs();
+    setActiveTab(tab.id);
+    setStatus("New file");
+  }
+
+  // ---------------------------
+  // Choice dialog (Save / Don't Save / Cancel and friends)
+  // ---------------------------
+  // Resolves with the clicked button's value, or `cancelValue` on Esc / when already showing.
+  function askChoice({ title, message = "", items = [], buttons = [], cancelValue = "cancel" }) {
+    const dlg = ui.choiceDialog;
+    if (!dlg || typeof dlg.showModal !== "function") {
+      // No <dialog> support: first button vs cancel.
+      const first = buttons[0];
+      return Promise.resolve(first && confirm(`${title}\n\n${message}`) ? first.value : cancelValue);
+    }
+    if (dlg.open) return Promise.resolve(cancelValue);
+
+    ui.choiceTitle.textContent = title || "";
+    ui.choiceMessage.textContent = message;
+    ui.choiceMessage.style.display = message ? "" : "none";
+
+    ui.choiceList.innerHTML = "";
+    for (const item of items) {
+      const li = document.createElement("li");
+      li.textContent = item;
+      ui.choiceList.appendChild(li);
+    }
+    ui.choiceList.style.display = items.length ? "" : "none";
+
+    ui.choiceButtons.innerHTML = "";
+    let focusBtn = null;
+    for (const b of buttons) {
+      const btn = document.createElement("button");
+      btn.className = `btn${b.kind ? ` ${b.kind}` : ""}`;
+      btn.value = b.value;
+      btn.textContent = b.label;
+      ui.choiceButtons.appendChild(btn);
+      if (!focusBtn && b.kind === "primary") focusBtn = btn;
+    }
+
+    return new Promise((resolve) => {
+      dlg.returnValue = "";
+      dlg.addEventListener("close", () => resolve(dlg.returnValue || cancelValue), { once: true });
+      dlg.showModal();
+      if (focusBtn) focusBtn.focus();
+    });
+  }
+
+  // ---------------------------
+  // Context menu (explorer, tabs)
+  // ---------------------------
+  let ctxMenuEl = null;
+
+  function closeContextMenu() {
+    if (!ctxMenuEl) return;
+    try { ctxMenuEl.remove(); } catch (_) {}
+    ctxMenuEl = null;
+
+    document.removeEventListener("pointerdown", onContextMenuPointerDown, true);
+    document.removeEventListener("keydown", onContextMenuKeyDown, true);
+    window.removeEventListener("blur", closeContextMenu);
+    window.removeEventListener("resize", closeContextMenu);
+  }
+
+  function onContextMenuPointerDown(e) {
+    if (ctxMenuEl && !ctxMenuEl.contains(e.target)) closeContextMenu();
+  }
+
+  function onContextMenuKeyDown(e) {
+    if (!ctxMenuEl) return;
+
+    if (e.key === "Escape") {
+      e.preventDefault();
+      closeContextMenu();
+      return;
+    }
+
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const items = Array.from(ctxMenuEl.querySelectorAll(".ctx-item:not(:disabled)"));
+      if (!items.length) return;
+      const i = items.indexOf(document.activeElement);
+      const next = e.key === "ArrowDown" ? (i + 1) % items.length : (i <= 0 ? items.length - 1 : i - 1);
+      items[next].focus();
+    }
+  }
+
+  // items: [{ label, action, disabled, danger }] — use "-" for a separator.
+  function showContextMenu(x, y, items) {
+    closeContextMenu();
+
+    const menu = document.createElement("div");
+    menu.className = "ctx-menu";
+    menu.setAttribute("role", "menu");
+
+    for (const item of items || []) {
+      if (!item) continue;
+
+      if (item === "-") {
+        const last = menu.lastElementChild;
+        if (last && !last.classList.contains("ctx-sep")) {
+          const sep = document.createElement("div");
+          sep.className = "ctx-sep";
+          menu.appendChild(sep);
+        }
+        continue;
+      }
+
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = `ctx-item${item.danger ? " danger" : ""}`;
+      btn.setAttribute("role", "menuitem");
+      btn.textContent = item.label;
+      btn.disabled = !!item.disabled;
+      if (item.title) btn.title = item.title;
+
+      btn.addEventListener("click", () => {
+        closeContextMenu();
+        Promise.resolve()
+          .then(() => item.action && item.action())
+          .catch((e) => console.warn("[Moonskai] Menu action failed:", e));
+      });
+
+      menu.appendChild(btn);
+    }
+
+    if (menu.lastElementChild && menu.lastElementChild.classList.contains("ctx-sep")) {
+      menu.lastElementChild.remove();
+    }
+    if (!menu.childElementCount) return;
+
+    document.body.appendChild(menu);
+    ctxMenuEl = menu;
+
+    // Keep the menu on screen.
+    const r = menu.getBoundingClientRect();
+    menu.style.left = `${clamp(x, 4, Math.max(4, window.innerWidth - r.width - 4))}px`;
+    menu.style.top = `${clamp(y, 4, Math.max(4, window.innerHeight - r.height - 4))}px`;
+
+    document.addEventListener("pointerdown", onContextMenuPointerDown, true);
+    document.addEventListener("keydown", onContextMenuKeyDown, true);
+    window.addEventListener("blur", closeContextMenu);
+    window.addEventListener("resize", closeContextMenu);
+
+    const first = menu.querySelector(".ctx-item:not(:disabled)");
+    if (first) first.focus();
+  }
+
+  // ---------------------------
+  // Recent files and folders (MRU, shared by all workspaces)
+  // ---------------------------
+  const RECENT_FILES_MAX = 50;
+  const RECENT_FOLDERS_MAX = 20;
+
+  // { files: [{ handle, name, ts }], folders: [...] }, newest first
+  const recent = { files: [], folders: [] };
+  let startScreenMode = "auto"; // "auto" (when empty) | "shown" (asked for) | "dismissed"
+
+  async function loadRecent() {
+    try {
+      const files = await kvGet("recent_files");
+      const folders = await kvGet("recent_folders");
+      recent.files = Array.isArray(files) ? files.filter(e => e && e.handle) : [];
+      recent.folders = Array.isArray(folders) ? folders.filter(e => e && e.handle) : [];
+    } catch (_) {}
+    renderStartScreen();
+  }
+
+  async function saveRecent(kind) {
+    try {
+      await kvSet(kind === "folders" ? "recent_folders" : "recent_files", recent[kind]);
+    } catch (e) {
+      console.warn("[Moonskai] Could not store recent list:", e);
+    }
+  }
+
+  async function sameEntry(a, b) {
+    if (a === b) return true;
+    try {
+      return await a.isSameEntry(b);
+    } catch (_) {
+      return false;
+    }
+  }
+
+  // Changes to the lists run one at a time: addRecent awaits isSameEntry for every entry, and
+  // callers often don't wait for it (closing several tabs adds each of them).
+  let recentQueue = Promise.resolve();
+
+  function queueRecent(fn) {
+    const run = recentQueue.then(fn);
+    recentQueue = run.catch((e) => console.warn("[Moonskai] Recent list update failed:", e));
+    return run;
+  }
+
+  function addRecent(kind, handle) {
+    if (!handle || typeof handle.isSameEntry !== "function") return Promise.resolve();
+    return queueRecent(async () => {
+      const list = [];
+      for (const e of recent[kind]) {
+        if (!(await sameEntry(e.handle, handle))) list.push(e);
+      }
+      list.unshift({ handle, name: handle.name, ts: Date.now() });
+      list.length = Math.min(list.length, kind === "folders" ? RECENT_FOLDERS_MAX : RECENT_FILES_MAX);
+
+      recent[kind] = list;
+      await saveRecent(kind);
+      renderStartScreen();
+    });
+  }
+
+  function forgetRecent(kind, entry) {
+    return queueRecent(async () => {
+      recent[kind] = recent[kind].filter(e => e !== entry);
+      await saveRecent(kind);
+      renderStartScreen();
+    });
+  }
+
+  function clearRecent() {
+    return queueRecent(async () => {
+      recent.files = [];
+      recent.folders = [];
+      await saveRecent("files");
+      await saveRecent("folders");
+      renderStartScreen();
+      setStatus("Recent list cleared");
+    });
+  }
+
+  // Handles from the list have usually lost permission since they were stored.
+  async function ensureHandlePermission(handle) {
+    try {
+      if (typeof handle.queryPermission !== "function") return true;
+      if ((await handle.queryPermission({ mode: "readwrite" })) === "granted") return true;
+      return (await handle.requestPermission({ mode: "readwrite" })) === "granted";
+    } catch (_) {
+      return false;
+    }
+  }
+
+  async function openRecentFile(entry) {
+    if (!(await ensureHandlePermission(entry.handle))) {
+      setStatus(`No access to ${entry.name}`);
+      return;
+    }
+    try {
+      await openFileHandle(entry.handle);
+      setStatus(`Opened ${entry.name}`);
+    } catch (e) {
+      if (e && e.name === "NotFoundError") {
+        await forgetRecent("files", entry);
+        setStatus(`${entry.name} no longer exists`);
+        return;
+      }
+      console.warn("[Moonskai] Open recent failed:", e);
+      setStatus(`Could not open ${entry.name}`);
+    }
+  }
+
+  async function openRecentFolder(entry) {
+    if (!(await ensureHandlePermission(entry.handle))) {
+      setStatus(`No access to ${entry.name}`);
+      return;
+    }
+    try {
+      await entry.handle.values().next(); // throws when the folder is gone
+    } catch (e) {
+      if (e && e.name === "NotFoundError") {
+        await forgetRecent("folders", entry);
+        setStatus(`${entry.name} no longer exists`);
+        return;
+      }
+    }
+
+    await openFolderHandle(entry.handle);
+  }
+
+  function showRecentMenu(x, y) {
+    const items = [];
+    for (const e of recent.files.slice(0, 15)) {
+      items.push({ label: e.name, title: `Opened ${new Date(e.ts).toLocaleString()}`, action: () => openRecentFile(e) });
+    }
+    items.push("-");
+    for (const e of recent.folders.slice(0, 8)) {
+      items.push({ label: `📁 ${e.name}`, title: "Open as the workspace folder", action: () => openRecentFolder(e) });
+    }
+    items.push("-");
+    items.push({ label: "Start Screen", action: showStartScreen });
+    items.push({ label: "Clear Recent", danger: true, disabled: !recent.files.length && !recent.folders.length, action: clearRecent });
+    showContextMenu(x, y, items);
+  }
+
+  // Start screen: shown on request, or over a workspace whose only tab is an empty, untouched untitled one.
+  function isStartState() {
+    if (state.tabs.length !== 1 || isDiffMode()) return false;
+    const t = state.tabs[0];
+    return !t.handle && !t.dirty && t.model && !t.model.isDisposed() && t.model.getValueLength() === 0;
+  }
+
+  function renderRecentList(host, kind, open) {
+    host.innerHTML = "";
+    const list = recent[kind];
+    if (!list.length) {
+      const empty = document.createElement("div");
+      empty.className = "muted small";
+      empty.textContent = kind === "folders" ? "No recent folders" : "No recent files";
+      host.appendChild(empty);
+      return;
+    }
+
+    for (const e of list.slice(0, kind === "folders" ? 8 : 12)) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "start-item";
+      btn.title = `Opened ${new Date(e.ts).toLocaleString()}`;
+      btn.textContent = kind === "folders" ? `📁 ${e.name}` : e.name;
+      btn.addEventListener("click", () => open(e));
+      host.appendChild(btn);
+    }
+  }
+
+  function renderStartScreen() {
+    if (!ui.startScreen) return;
+    const show = startScreenMode === "shown" || (startScreenMode === "auto" && isStartState());
+    ui.startScreen.style.display = show ? "flex" : "none";
+    if (!show) return;
+
+    if (ui.startRecentFiles) renderRecentList(ui.startRecentFiles, "files", fromStartScreen(openRecentFile));
+    if (ui.startRecentFolders) renderRecentList(ui.startRecentFolders, "folders", fromStartScreen(openRecentFolder));
+  }
+
+  function showStartScreen() {
+    startScreenMode = "shown";
+    renderStartScreen();
+  }
+
+  function dismissStartScreen() {
+    startScreenMode = "dismissed";
+    renderStartScreen();
+    if (editor) editor.focus();
+  }
+
+  // Start screen actions close it once they've done something.
+  function fromStartScreen(action) {
+    return async (...args) => {
+      await action(...args);
+      if (startScreenMode === "shown") startScreenMode = "auto";
+      renderStartScreen();
+    };
+  }
+
+  function bindRecentUI() {
+    if (ui.openRecent) {
+      ui.openRecent.addEventListener("click", () => {
+        const r = ui.openRecent.getBoundingClientRect();
+        showRecentMenu(r.left, r.bottom + 4);
+      });
+    }
+    ui.openFile.addEventListener("contextmenu", (e) => {
+      e.preventDefault();
+      showRecentMenu(e.clientX, e.clientY);
+    });
+
+    if (!ui.startScreen) return;
+    ui.startScreen.addEventListener("click", (e) => {
+      if (!e.target.closest(".start-card")) dismissStartScreen();
+    });
+    if (ui.startNew) ui.startNew.addEventListener("click", dismissStartScreen);
+    if (ui.startOpen) ui.startOpen.addEventListener("click", fromStartScreen(openFiles));
+    if (ui.startOpenFolder) ui.startOpenFolder.addEventListener("click", fromStartScreen(openFolder));
+  }
+
+  // ---------------------------
+  // Drag and drop from the OS (MASTER opens, COMPARE loads, folders become the workspace folder)
+  // ---------------------------
+  function isFileDrag(e) {
+    return !!(e.dataTransfer && Array.from(e.dataTransfer.types || []).includes("Files"));
+  }
+
+  // Must run synchronously inside the drop event: the DataTransfer is emptied after it returns.
+  function collectDroppedItems(dt) {
+    const out = [];
+    for (const item of Array.from(dt.items || [])) {
+      if (item.kind !== "file") continue;
+      out.push({
+        handle: typeof item.getAsFileSystemHandle === "function" ? item.getAsFileSystemHandle().catch(() => null) : null,
+        entry: typeof item.webkitGetAsEntry === "function" ? item.webkitGetAsEntry() : null,
+        file: item.getAsFile()
+      });
+    }
+    // Older engines without items
+    if (!out.length) for (const file of Array.from(dt.files || [])) out.push({ handle: null, entry: null, file });
+    return out;
+  }
+
+  async function openDroppedItems(items) {
+    let opened = null;
+    let folder = null;
+
+    for (const it of items) {
+      const handle = it.handle ? await it.handle : null;
+      try {
+        if (handle && handle.kind === "directory") {
+          folder = handle;
+          continue;
+        }
+        if (!handle && it.entry && it.entry.isDirectory) {
+          setStatus("Opening a dropped folder needs the File System Access API");
+          continue;
+        }
+
+        const tab = handle ? await openFileHandle(handle, { activate: false }) : (it.file ? await createTabFromFile(it.file) : null);
+        if (tab) opened = tab;
+      } catch (e) {
+        console.warn("[Moonskai] Could not open dropped item:", e);
+      }
+    }
+
+    if (folder) {
+      await ensureHandlePermission(folder); // drops only grant read; the explorer also creates/renames
+      await openFolderHandle(folder);
+    }
+    if (opened) {
+      state.activeId = opened.id;
+      renderTabs();
+      setActiveTab(opened.id);
+      if (!folder) setStatus(`Opened ${opened.name}`);
+    }
+  }
+
+  async function compareDroppedItems(items) {
+    const it = items[0];
+    if (!it) return;
+    const handle = it.handle ? await it.handle : null;
+    if ((handle && handle.kind === "directory") || (it.entry && it.entry.isDirectory)) {
+      setStatus("Drop a file (not a folder) to compare");
+      return;
+    }
+
+    try {
+      const file = handle ? await handle.getFile() : it.file;
+      const text = await readCompareFileText(file);
+      if (text === null) return;
+      await setCompareModelFromText(file.name || "compare", text, handle);
+      setStatus(items.length > 1 ? "Compare loaded (only the first dropped file is used)" : "Compare loaded");
+    } catch (e) {
+      console.warn("[Moonskai] Could not load dropped compare file:", e);
+      setStatus("Compare failed");
+    }
+  }
+
+  function bindDropTarget(el, overlay, onDrop) {
+    if (!el) return;
+    let depth = 0;
+    const hide = () => {
+      depth = 0;
+      if (overlay) overlay.style.display = "none";
+    };
+
+    // Capture phase, so Monaco's own text drop handling never sees OS files.
+    el.addEventListener("dragenter", (e) => {
+      if (!isFileDrag(e)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      depth++;
+      if (overlay) overlay.style.display = "flex";
+    }, true);
+    el.addEventListener("dragover", (e) => {
+      if (!isFileDrag(e)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      e.dataTransfer.dropEffect = "copy";
+    }, true);
+    el.addEventListener("dragleave", (e) => {
+      if (!isFileDrag(e)) return;
+      depth = Math.max(0, depth - 1);
+      if (!depth) hide();
+    }, true);
+    el.addEventListener("drop", (e) => {
+      if (!isFileDrag(e)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      hide();
+      onDrop(collectDroppedItems(e.dataTransfer));
+    }, true);
+  }
+
+  function bindFileDropUI() {
+    const left = ui.editorLeftEl ? ui.editorLeftEl.closest(".pane") : null;
+    const right = ui.editorRightEl ? ui.editorRightEl.closest(".pane") : null;
+    bindDropTarget(left, ui.dropOverlayLeft, openDroppedItems);
+    bindDropTarget(right, ui.dropOverlayRight, compareDroppedItems);
+    bindDropTarget(ui.diffWrap, ui.dropOverlayDiff, openDroppedItems);
+
+    // A file dropped anywhere else must not replace the app with the file.
+    window.addEventListener("dragover", (e) => { if (isFileDrag(e)) e.preventDefault(); });
+    window.addEventListener("drop", (e) => { if (isFileDrag(e)) e.preventDefault(); });
+    window.addEventListener("dragend", () => {
+      for (const o of [ui.dropOverlayLeft, ui.dropOverlayRight, ui.dropOverlayDiff]) if (o) o.style.display = "none";
+    });
+  }
+
+  // ---------------------------
+  // Storage usage (Settings → Storage)
+  // ---------------------------
+  // Above this share of the quota the browser may start evicting non-persistent origins.
+  const STORAGE_WARN_RATIO = 0.8;
+
+  let storageRenderSeq = 0;
+
+  function textBytes(s) {
+    return new Blob([String(s ?? "")]).size;
+  }
+
+  // Per-doc snapshot totals, from the sizes recorded with each entry.
+  async function historySizesByDoc() {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_HISTORY, "readonly");
+      const sizes = new Map();
+      const req = tx.objectStore(STORE_HISTORY).openCursor();
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur) return;
+        const v = cur.value || {};
+        const e = sizes.get(v.docId) || { count: 0, bytes: 0 };
+        e.count++;
+        e.bytes += Number(v.size) || 0;
+        sizes.set(v.docId, e);
+        cur.continue();
+      };
+      tx.oncomplete = () => resolve(sizes);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // Cache Storage used by sw.js. Opaque (no-cors) responses can't be measured, only counted.
+  // Sizes come from the browser's own per-cache usage when it reports one; otherwise from
+  // content-length headers. Bodies are never read, so opaque or length-less entries are only counted.
+  async function measureCaches(reportedBytes = null) {
+    const out = { bytes: reportedBytes ?? 0, entries: 0, unsized: 0 };
+    if (!("caches" in window)) return out;
+
+    for (const name of await caches.keys()) {
+      const cache = await caches.open(name);
+      const reqs = await cache.keys();
+      out.entries += reqs.length;
+      if (reportedBytes != null) continue;
+
+      for (const req of reqs) {
+        const res = await cache.match(req);
+        const len = res && res.type !== "opaque" ? Number(res.headers.get("content-length")) : 0;
+        if (len > 0) out.bytes += len;
+        else out.unsized++;
+      }
+    }
+    return out;
+  }
+
+  async function measureStorage() {
+    const m = { usage: null, quota: null, details: null, persisted: null, docs: [], plugins: [], history: new Map(), cache: null };
+
+    if (navigator.storage) {
+      try {
+        if (typeof navigator.storage.estimate === "function") {
+          const est = await navigator.storage.estimate();
+          m.usage = est.usage ?? null;
+          m.quota = est.quota ?? null;
+          m.details = est.usageDetails || null;
+        }
+        if (typeof navigator.storage.persisted === "function") m.persisted = await navigator.storage.persisted();
+      } catch (_) {}
+    }
+
+    try {
+      m.docs = (await docsList()).map(d => ({
+        id: d.id,
+        name: d.name || "untitled",
+        workspace: d.workspace || DEFAULT_WORKSPACE_ID,
+        dirty: !!d.dirty,
+        bytes: textBytes(d.content)
+      }));
+    } catch (e) {
+      console.warn("[Moonskai] Could not measure docs:", e);
+    }
+    try {
+      m.plugins = (await pluginsList()).map(p => ({ name: p.name || p.id, bytes: textBytes(JSON.stringify(p)) }));
+    } catch (_) {}
+    try { m.history = await historySizesByDoc(); } catch (_) {}
+    try {
+      const reported = m.details && typeof m.details.caches === "number" ? m.details.caches : null;
+      m.cache = await measureCaches(reported);
+    } catch (_) {}
+
+    return m;
+  }
+
+  function storageRatio(m) {
+    return (m.usage != null && m.quota) ? m.usage / m.quota : 0;
+  }
+
+  function renderStorageRow(parent, label, value, title = "") {
+    const row = document.createElement("div");
+    row.className = "storage-row";
+    if (title) row.title = title;
+    const a = document.createElement("span");
+    a.className = "storage-row-name";
+    a.textContent = label;
+    const b = document.createElement("span");
+    b.className = "muted";
+    b.textContent = value;
+    row.append(a, b);
+    parent.appendChild(row);
+    return row;
+  }
+
+  async function renderStorageDashboard() {
+    if (!ui.storageUsageText) return;
+    const seq = ++storageRenderSeq;
+    ui.storageUsageText.textContent = "Measuring…";
+
+    const m = await measureStorage();
+    if (seq !== storageRenderSeq) return;
+
+    const ratio = storageRatio(m);
+    if (m.usage != null && m.quota) {
+      ui.storageUsageText.textContent = `${formatSize(m.usage)} of ${formatSize(m.quota)} used (${(ratio * 100).toFixed(ratio < 0.01 ? 2 : 0)}%)`;
+    } else {
+      ui.storageUsageText.textContent = "This browser doesn't report storage usage.";
+    }
+    if (ui.storageMeterFill) {
+      ui.storageMeterFill.style.width = `${Math.min(100, ratio * 100)}%`;
+      ui.storageMeterFill.classList.toggle("warn", ratio >= STORAGE_WARN_RATIO);
+    }
+
+    // Persistence
+    if (ui.storagePersistState) {
+      ui.storagePersistState.textContent =
+        m.persisted === true ? "Persistent — the browser won't clear it automatically"
+          : m.persisted === false ? "Best effort — may be cleared when the device is low on space"
+            : "Not supported by this browser";
+    }
+    if (ui.storagePersistBtn) ui.storagePersistBtn.style.display = m.persisted === false ? "" : "none";
+
+    // Eviction warning
+    const unsaved = m.docs.filter(d => d.dirty).length;
+    const warnings = [];
+    if (ratio >= STORAGE_WARN_RATIO) warnings.push(`Storage is ${Math.round(ratio * 100)}% full; new changes may fail to save.`);
+    if (m.persisted === false && unsaved) {
+      warnings.push(`${unsaved} unsaved tab(s) exist only in this browser and could be lost if it clears storage.`);
+    }
+    if (ui.storageWarning) {
+      ui.storageWarning.textContent = warnings.length ? `${warnings.join(" ")} Export a backup or request persistent storage.` : "";
+      ui.storageWarning.style.display = warnings.length ? "" : "none";
+    }
+
+    // Breakdown
+    if (!ui.storageBreakdown) return;
+    ui.storageBreakdown.innerHTML = "";
+
+    const sum = (arr) => arr.reduce((n, x) => n + x.bytes, 0);
+    let historyBytes = 0;
+    let historyCount = 0;
+    for (const h of m.history.values()) {
+      historyBytes += h.bytes;
+      historyCount += h.count;
+    }
+
+    renderStorageRow(ui.storageBreakdown, `Documents (${m.docs.length})`, formatSize(sum(m.docs)));
+    renderStorageRow(ui.storageBreakdown, `Local history (${historyCount} snapshots)`, formatSize(historyBytes));
+    renderStorageRow(ui.storageBreakdown, `Plugins (${m.plugins.length})`, formatSize(sum(m.plugins)));
+    if (m.cache) {
+      const unsized = m.cache.unsized ? `, ${m.cache.unsized} not measurable` : "";
+      renderStorageRow(ui.storageBreakdown, `Offline cache (${m.cache.entries} files${unsized})`, formatSize(m.cache.bytes));
+    }
+    if (m.details) {
+      const parts = Object.entries(m.details).map(([k, v]) => `${k}: ${formatSize(v)}`).join(", ");
+      renderStorageRow(ui.storageBreakdown, "Reported by the browser", parts);
+    }
+
+    if (!m.docs.length) return;
+
+    const head = document.createElement("div");
+    head.className = "storage-subtitle";
+    head.textContent = "Documents by size";
+    ui.storageBreakdown.appendChild(head);
+
+    const wsNames = new Map(state.workspace.list.map(w => [w.id, w.name]));
+    const multiWs = state.workspace.list.length > 1;
+    for (const d of m.docs.sort((a, b) => b.bytes - a.bytes)) {
+      const hist = m.history.get(d.id);
+      const where = multiWs ? ` — ${wsNames.get(d.workspace) || d.workspace}` : "";
+      const row = renderStorageRow(
+        ui.storageBreakdown,
+        `${d.dirty ? "● " : ""}${d.name}${where}`,
+        hist ? `${formatSize(d.bytes)} + ${formatSize(hist.bytes)} history` : formatSize(d.bytes),
+        d.dirty ? "Unsaved changes" : ""
+      );
+      row.classList.add("storage-doc");
+    }
+  }
+
+  async function requestPersistentStorage() {
+    if (!navigator.storage || typeof navigator.storage.persist !== "function") {
+      setStatus("Persistent storage isn't supported in this browser");
+      return false;
+    }
+    let granted = false;
+    try {
+      granted = await navigator.storage.persist();
+    } catch (e) {
+      console.warn("[Moonskai] persist() failed:", e);
+    }
+    setStatus(granted ? "Storage is now persistent" : "The browser declined persistent storage");
+    if (granted) hideBanner("storage");
+    await renderStorageDashboard();
+    return granted;
+  }
+
+  function showStorageBanner(message) {
+    showBanner({
+      id: "storage",
+      kind: "warn",
+      message,
+      actions: [
+        { label: "Export backup", primary: true, action: exportWorkspace },
+        {
+          label: "Storage settings",
+          action: () => {
+            hydrateSettingsUI();
+            ui.settingsDialog.showModal();
+            renderStorageDashboard();
+          }
+        }
+      ]
+    });
+  }
+
+  // Boot: warn while there's still room to act, before the browser evicts anything.
+  async function checkStorageHealth() {
+    if (!navigator.storage || typeof navigator.storage.estimate !== "function") return;
+    try {
+      const est = await navigator.storage.estimate();
+      const ratio = est.quota ? (est.usage || 0) / est.quota : 0;
+      if (ratio < STORAGE_WARN_RATIO) return;
+
+      const persisted = typeof navigator.storage.persisted === "function" ? await navigator.storage.persisted() : null;
+      showStorageBanner(
+        `Browser storage is ${Math.round(ratio * 100)}% full.` +
+        (persisted ? "" : " Unsaved tabs live there and could be evicted.")
+      );
+    } catch (_) {}
+  }
+
+  function isQuotaError(e) {
+    return !!e && e.name === "QuotaExceededError";
+  }
+
+  // ---------------------------
+  // Workspace folder explorer (showDirectoryPicker)
+  // ---------------------------
+  function explorerNode(path) {
+    return state.explorer.nodes.get(path) || null;
+  }
+
+  function explorerJoin(parentPath, name) {
+    return parentPath ? `${parentPath}/${name}` : name;
+  }
+
+  function explorerParentPath(path) {
+    const i = String(path || "").lastIndexOf("/");
+    return i < 0 ? "" : path.slice(0, i);
+  }
+
+  function promptEntryName(message, initial) {
+    const raw = prompt(message, initial || "");
+    if (raw == null) return null;
+
+    const name = String(raw).trim();
+    if (!name) return null;
+    if (name === "." || name === ".." || /[\\\/:*?"<>|]/.test(name)) {
+      setStatus("Invalid name");
+      return null;
+    }
+    return name;
+  }
+
+  // Path of a handle relative to the explorer folder, or null when it lives elsewhere.
+  async function explorerPathOf(handle) {
+    const root = state.explorer.root;
+    if (!root || !handle || state.explorer.needsPermission) return null;
+    try {
+      const parts = await root.resolve(handle);
+      return parts && parts.length ? parts.join("/") : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  async function syncTabPathsWithExplorer() {
+    for (const t of state.tabs) {
+      t.path = t.handle ? await explorerPathOf(t.handle) : null;
+      updateTabProject(t);
+    }
+    markExplorerActive();
+  }
+
+  async function getEntryHandle(dirHandle, name, kind) {
+    return kind === "directory"
+      ? dirHandle.getDirectoryHandle(name)
+      : dirHandle.getFileHandle(name);
+  }
+
+  async function getHandleAtPath(dirHandle, parts, kind = "file") {
+    let dir = dirHandle;
+    for (let i = 0; i < parts.length - 1; i++) dir = await dir.getDirectoryHandle(parts[i]);
+    return getEntryHandle(dir, parts[parts.length - 1], kind);
+  }
+
+  async function entryExists(dirHandle, name) {
+    try { await dirHandle.getFileHandle(name); return true; } catch (_) {}
+    try { await dirHandle.getDirectoryHandle(name); return true; } catch (_) {}
+    return false;
+  }
+
+  async function writeFileHandle(handle, data) {
+    if (typeof handle.createWritable !== "function") return opfsWriteFile(handle, data);
+    const writable = await handle.createWritable();
+    await writable.write(data);
+    await writable.close();
+  }
+
+  // Recursive copy used when FileSystemHandle.move() is unavailable.
+  async function copyEntry(srcHandle, destDir, name) {
+    if (srcHandle.kind === "file") {
+      const dest = await destDir.getFileHandle(name, { create: true });
+      await writeFileHandle(dest, await srcHandle.getFile());
+      return dest;
+    }
+
+    const dest = await destDir.getDirectoryHandle(name, { create: true });
+    for await (const child of srcHandle.values()) {
+      await copyEntry(child, dest, child.name);
+    }
+    return dest;
+  }
+
+  // Open tabs whose file is this entry (or lives inside it, for folders).
+  async function tabsUnderEntry(node) {
+    const out = [];
+    for (const t of state.tabs) {
+      if (!t || !t.handle) continue;
+      try {
+        if (node.kind === "file") {
+          if (await node.handle.isSameEntry(t.handle)) out.push({ tab: t, rel: [] });
+        } else {
+          const rel = await node.handle.resolve(t.handle);
+          if (rel) out.push({ tab: t, rel });
+        }
+      } catch (_) {}
+    }
+    return out;
+  }
+
+  function setExplorerVisible(visible) {
+    const ex = state.explorer;
+    ex.visible = !!visible;
+
+    if (ui.sidebar) ui.sidebar.style.display = ex.visible ? "flex" : "none";
+    if (ui.editorWrap) ui.editorWrap.classList.toggle("with-sidebar", ex.visible);
+    if (ui.explorerToggle) ui.explorerToggle.setAttribute("aria-pressed", ex.visible ? "true" : "false");
+
+    requestAnimationFrame(() => {
+      try { editor && editor.layout(); } catch (_) {}
+      try { editorCompare && editorCompare.layout(); } catch (_) {}
+      try { diffEditor && diffEditor.layout(); } catch (_) {}
+    });
+  }
+
+  function setSidebarView(view) {
+    if (!ui.sidebar) return;
+    state.explorer.view = (view === "search" || view === "history") ? view : "explorer";
+
+    ui.sidebar.querySelectorAll(".sidebar-tab").forEach((btn) => {
+      btn.setAttribute("aria-selected", btn.getAttribute("data-view") === state.explorer.view ? "true" : "false");
+    });
+    ui.sidebar.querySelectorAll(".sidebar-view").forEach((el) => {
+      el.style.display = el.getAttribute("data-view") === state.explorer.view ? "flex" : "none";
+    });
+
+    if (state.explorer.view === "history") renderTimeline();
+  }
+
+  async function setExplorerRoot(handle, { needsPermission = false, opfs = null } = {}) {
+    const ex = state.explorer;
+    ex.root = handle || null;
+    ex.opfs = (handle && opfs) || null;
+    ex.needsPermission = !!(handle && needsPermission);
+    ex.nodes = new Map();
+    ex.expanded = new Set([""]);
+    ex.selected = null;
+
+    if (handle) ex.nodes.set("", { name: handle.name, kind: "directory", handle, path: "", children: null });
+
+    setExplorerVisible(!!handle);
+    await renderExplorer();
+    await syncTabPathsWithExplorer();
+  }
+
+  async function openFolder() {
+    if (!("showDirectoryPicker" in window)) {
+      // Firefox/Safari/mobile: offer projects kept in the browser's private file system instead.
+      if (hasOpfs()) {
+        const r = ui.openFolder.getBoundingClientRect();
+        await showProjectMenu(r.left, r.bottom + 4);
+      } else setStatus("Open Folder needs the File System Access API");
+      return;
+    }
+
+    let handle = null;
+    try {
+      handle = await window.showDirectoryPicker({ mode: "readwrite" });
+    } catch (e) {
+      // User canceled — do nothing.
+      if (e && e.name === "AbortError") return;
+      console.warn("[Moonskai] openFolder failed:", e);
+      setStatus("Open Folder failed");
+      return;
+    }
+
+    await openFolderHandle(handle);
+  }
+
+  // Make a (permitted) directory handle the workspace folder.
+  async function openFolderHandle(handle) {
+    await setExplorerRoot(handle);
+    try { await kvSet(wsKey("explorer_root"), handle); } catch (e) { console.warn("[Moonskai] Could not persist folder handle:", e); }
+    await addRecent("folders", handle);
+    setStatus(`Opened folder ${handle.name}`);
+  }
+
+  async function closeFolder() {
+    await setExplorerRoot(null);
+    try { await kvSet(wsKey("explorer_root"), null); } catch (_) {}
+    setStatus("Folder closed");
+  }
+
+  async function restoreExplorer() {
+    let handle = null;
+    try { handle = await kvGet(wsKey("explorer_root")); } catch (_) {}
+
+    // Browser projects are stored by name; their handles don't always survive IndexedDB (Safari).
+    if (handle && handle.opfs) {
+      const dir = await opfsProjectDir(handle.opfs).catch(() => null);
+      await setExplorerRoot(dir, { opfs: handle.opfs });
+      return;
+    }
+
+    if (!handle || handle.kind !== "directory") {
+      // Switching to a workspace without a folder
+      if (state.explorer.root) await setExplorerRoot(null);
+      return;
+    }
+
+    // Permission does not survive a browser restart; the sidebar offers a Reconnect button.
+    let granted = true;
+    try {
+      if (typeof handle.queryPermission === "function") {
+        granted = (await handle.queryPermission({ mode: "readwrite" })) === "granted";
+      }
+    } catch (_) {
+      granted = false;
+    }
+
+    await setExplorerRoot(handle, { needsPermission: !granted });
+  }
+
+  async function reconnectExplorer() {
+    const ex = state.explorer;
+    if (!ex.root) return;
+
+    try {
+      const p = await ex.root.requestPermission({ mode: "readwrite" });
+      if (p !== "granted") {
+        setStatus("Folder access denied");
+        return;
+      }
+    } catch (e) {
+      console.warn("[Moonskai] Folder permission failed:", e);
+      setStatus("Folder access failed");
+      return;
+    }
+
+    ex.needsPermission = false;
+    await renderExplorer();
+    await syncTabPathsWithExplorer();
+    setStatus(`Reconnected ${ex.root.name}`);
+  }
+
+  async function loadExplorerChildren(node) {
+    const children = [];
+    for await (const h of node.handle.values()) {
+      const path = explorerJoin(node.path, h.name);
+      const prev = state.explorer.nodes.get(path);
+      const child = (prev && prev.kind === h.kind) ? prev : { name: h.name, kind: h.kind, path, children: null };
+      child.handle = h;
+      state.explorer.nodes.set(path, child);
+      children.push(child);
+    }
+
+    children.sort((a, b) => {
+      if (a.kind !== b.kind) return a.kind === "directory" ? -1 : 1;
+      return a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: "base" });
+    });
+
+    node.children = children;
+    return children;
+  }
+
+  function renderExplorerEmpty(message, buttonLabel, onClick) {
+    const box = document.createElement("div");
+    box.className = "tree-empty";
+
+    const msg = document.createElement("div");
+    msg.textContent = message;
+    box.appendChild(msg);
+
+    if (buttonLabel) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn primary";
+      btn.textContent = buttonLabel;
+      btn.addEventListener("click", onClick);
+      box.appendChild(btn);
+    }
+
+    ui.explorerTree.innerHTML = "";
+    ui.explorerTree.appendChild(box);
+  }
+
+  let explorerRenderSeq = 0;
+
+  async function renderExplorer() {
+    if (!ui.explorerTree) return;
+    const ex = state.explorer;
+    const seq = ++explorerRenderSeq;
+
+    const hasTree = !!ex.root && !ex.needsPermission;
+    if (ui.explorerTitle) {
+      ui.explorerTitle.textContent = ex.root ? ex.root.name : "No folder";
+      ui.explorerTitle.title = ex.root ? (ex.opfs ? `${ex.root.name} (stored in this browser)` : ex.root.name) : "";
+    }
+    for (const btn of [ui.explorerNewFile, ui.explorerNewFolder, ui.explorerRefresh, ui.explorerCollapse]) {
+      if (btn) btn.disabled = !hasTree;
+    }
+    if (ui.explorerClose) ui.explorerClose.disabled = !ex.root;
+
+    if (!ex.root) {
+      if (!("showDirectoryPicker" in window) && hasOpfs()) renderExplorerEmpty("No project open.", "Open Project", (e) => {
+          const r = e.currentTarget.getBoundingClientRect();
+          showProjectMenu(r.left, r.bottom + 4);
+        });
+      else renderExplorerEmpty("No folder open.", "Open Folder", openFolder);
+      return;
+    }
+    if (ex.needsPermission) {
+      renderExplorerEmpty(`Moonskai needs permission to access "${ex.root.name}" again.`, "Reconnect", reconnectExplorer);
+      return;
+    }
+
+    const rows = [];
+    const walk = async (node, depth) => {
+      if (node.children === null) {
+        try {
+          await loadExplorerChildren(node);
+        } catch (e) {
+          console.warn("[Moonskai] Could not read folder:", node.path || node.name, e);
+          node.children = [];
+        }
+      }
+      for (const child of node.children) {
+        rows.push({ node: child, depth });
+        if (child.kind === "directory" && ex.expanded.has(child.path)) await walk(child, depth + 1);
+      }
+    };
+    await walk(explorerNode(""), 0);
+
+    // A newer render started while we were reading directories.
+    if (seq !== explorerRenderSeq) return;
+
+    if (!rows.length) {
+      renderExplorerEmpty("This folder is empty.", "New File", () => explorerNewFile(null));
+      return;
+    }
+
+    const active = activeTab();
+    const activePath = active && active.path ? active.path : null;
+    const frag = document.createDocumentFragment();
+
+    for (const { node, depth } of rows) {
+      const isDir = node.kind === "directory";
+      const open = isDir && ex.expanded.has(node.path);
+
+      const row = document.createElement("div");
+      row.className = `tree-row ${isDir ? "dir" : "file"}${node.path === ex.selected ? " selected" : ""}${node.path === activePath ? " active-file" : ""}`;
+      row.setAttribute("role", "treeitem");
+      row.setAttribute("data-path", node.path);
+      if (isDir) row.setAttribute("aria-expanded", open ? "true" : "false");
+      row.style.paddingLeft = `${10 + depth * 14}px`;
+      row.title = node.path;
+
+      const twisty = document.createElement("span");
+      twisty.className = "tree-twisty";
+      twisty.textContent = isDir ? (open ? "▾" : "▸") : "";
+
+      const name = document.createElement("span");
+      name.className = "tree-name";
+      name.textContent = node.name;
+
+      row.appendChild(twisty);
+      row.appendChild(name);
+      frag.appendChild(row);
+    }
+
+    ui.explorerTree.innerHTML = "";
+    ui.explorerTree.appendChild(frag);
+  }
+
+  function markExplorerActive() {
+    if (!ui.explorerTree || !state.explorer.visible) return;
+    const t = activeTab();
+    const activePath = t && t.path ? t.path : null;
+    ui.explorerTree.querySelectorAll(".tree-row").forEach((row) => {
+      row.classList.toggle("active-file", activePath !== null && row.getAttribute("data-path") === activePath);
+    });
+  }
+
+  function selectExplorerPath(path) {
+    state.explorer.selected = path;
+    ui.explorerTree.querySelectorAll(".tree-row").forEach((row) => {
+      row.classList.toggle("selected", row.getAttribute("data-path") === path);
+    });
+  }
+
+  async function revealTabInExplorer(tab) {
+    const ex = state.explorer;
+    if (!tab || !tab.path || !ex.root) return;
+
+    for (let dir = explorerParentPath(tab.path); dir; dir = explorerParentPath(dir)) ex.expanded.add(dir);
+
+    setExplorerVisible(true);
+    setSidebarView("explorer");
+    await renderExplorer();
+    selectExplorerPath(tab.path);
+
+    const row = ui.explorerTree.querySelector(`.tree-row[data-path="${CSS.escape(tab.path)}"]`);
+    if (row) row.scrollIntoView({ block: "nearest" });
+  }
+
+  async function refreshExplorer() {
+    const ex = state.explorer;
+    if (!ex.root) return;
+    const root = explorerNode("");
+    ex.nodes = new Map([["", root]]);
+    root.children = null;
+    await renderExplorer();
+  }
+
+  async function toggleExplorerDir(node) {
+    const ex = state.explorer;
+    if (ex.expanded.has(node.path)) ex.expanded.delete(node.path);
+    else ex.expanded.add(node.path);
+    await renderExplorer();
+  }
+
+  async function openExplorerFile(node) {
+    try {
+      const tab = await openFileHandle(node.handle);
+      if (tab && !tab.path) tab.path = node.path;
+      if (tab) updateTabProject(tab);
+      markExplorerActive();
+    } catch (e) {
+      console.warn("[Moonskai] Open from explorer failed:", e);
+      setStatus(`Could not open ${node.name}`);
+    }
+  }
+
+  // Folder that new entries go into: the node itself, a file's folder, or the root.
+  function explorerTargetDir(node) {
+    const ex = state.explorer;
+    const n = node || (ex.selected != null ? explorerNode(ex.selected) : null);
+    if (!n) return explorerNode("");
+    return n.kind === "directory" ? n : explorerNode(explorerParentPath(n.path));
+  }
+
+  async function explorerNewEntry(node, kind) {
+    const dir = explorerTargetDir(node);
+    if (!dir || state.explorer.needsPermission) return;
+
+    const name = promptEntryName(kind === "directory" ? "New folder name:" : "New file name:", "");
+    if (!name) return;
+
+    if (await entryExists(dir.handle, name)) {
+      setStatus(`"${name}" already exists`);
+      return;
+    }
+
+    try {
+      const h = kind === "directory"
+        ? await dir.handle.getDirectoryHandle(name, { create: true })
+        : await dir.handle.getFileHandle(name, { create: true });
+
+      const path = explorerJoin(dir.path, name);
+      state.explorer.expanded.add(dir.path);
+      state.explorer.selected = path;
+      dir.children = null;
+      await renderExplorer();
+
+      if (kind === "file") await openFileHandle(h);
+      setStatus(kind === "directory" ? "Folder created" : "File created");
+    } catch (e) {
+      console.warn("[Moonskai] Create failed:", e);
+      setStatus(kind === "directory" ? "New folder failed" : "New file failed");
+    }
+  }
+
+  function explorerNewFile(node) {
+    return explorerNewEntry(node, "file");
+  }
+
+  function explorerNewFolder(node) {
+    return explorerNewEntry(node, "directory");
+  }
+
+  async function explorerRename(node) {
+    if (!node || !node.path) return; // the root folder itself can't be renamed from here
+    const parent = explorerNode(explorerParentPath(node.path));
+    if (!parent) return;
+
+    const name = promptEntryName(`Rename "${node.name}" to:`, node.name);
+    if (!name || name === node.name) return;
+
+    if (name.toLowerCase() !== node.name.toLowerCase() && await entryExists(parent.handle, name)) {
+      setStatus(`"${name}" already exists`);
+      return;
+    }
+
+    if (await relocateExplorerEntry(node, parent, name)) setStatus(`Renamed to ${name}`);
+  }
+
+  async function explorerMove(node) {
+    if (!node || !node.path) return;
+    const parent = explorerNode(explorerParentPath(node.path));
+    if (!parent) return;
+
+    const raw = prompt(`Move "${node.name}" to folder (path inside ${state.explorer.root.name}, empty for the top level):`, parent.path);
+    if (raw == null) return;
+
+    const destPath = String(raw).trim().replace(/^\/+|\/+$/g, "");
+    if (destPath === parent.path) return;
+    if (node.kind === "directory" && (destPath === node.path || destPath.startsWith(`${node.path}/`))) {
+      setStatus("Can't move a folder into itself");
+      return;
+    }
+
+    let destHandle;
+    try {
+      destHandle = destPath ? await getHandleAtPath(state.explorer.root, destPath.split("/"), "directory") : state.explorer.root;
+    } catch (_) {
+      setStatus(`No folder "${destPath}"`);
+      return;
+    }
+    if (await entryExists(destHandle, node.name)) {
+      setStatus(`"${node.name}" already exists in ${destPath || state.explorer.root.name}`);
+      return;
+    }
+
+    const dest = explorerNode(destPath) || { handle: destHandle, path: destPath };
+    if (await relocateExplorerEntry(node, parent, node.name, dest)) {
+      for (let dir = destPath; dir; dir = explorerParentPath(dir)) state.explorer.expanded.add(dir);
+      await renderExplorer();
+      setStatus(`Moved ${node.name} to ${destPath || state.explorer.root.name}`);
+    }
+  }
+
+  // Rename (same folder) or move (dest given) an entry, keeping open tabs and expanded folders attached.
+  async function relocateExplorerEntry(node, parent, name, dest = parent) {
+    // Remember which open tabs point at (or into) this entry so their handles follow the move.
+    const affected = await tabsUnderEntry(node);
+
+    try {
+      let moved = false;
+      if (typeof node.handle.move === "function") {
+        try {
+          if (dest === parent) await node.handle.move(name);
+          else await node.handle.move(dest.handle, name);
+          moved = true;
+        } catch (e) {
+          if (!e || (e.name !== "NotSupportedError" && e.name !== "TypeError")) throw e;
+        }
+      }
+
+      if (!moved) {
+        const recursive = node.kind === "directory";
+        const caseOnly = dest === parent && name !== node.name && name.toLowerCase() === node.name.toLowerCase();
+
+        if (caseOnly) {
+          // On case-insensitive disks the new name is the same entry: copying onto it and then
+          // removing the old one would delete the file. Go through a temporary name instead.
+          let temp = `${node.name}.renaming`;
+          for (let n = 2; await entryExists(parent.handle, temp); n++) temp = `${node.name}.renaming-${n}`;
+
+          const tempHandle = await copyEntry(node.handle, parent.handle, temp);
+          await parent.handle.removeEntry(node.name, { recursive });
+          await copyEntry(tempHandle, parent.handle, name);
+          await parent.handle.removeEntry(temp, { recursive });
+        } else {
+          await copyEntry(node.handle, dest.handle, name);
+          await parent.handle.removeEntry(node.name, { recursive });
+        }
+      }
+
+      const newHandle = await getEntryHandle(dest.handle, name, node.kind);
+      const newPath = explorerJoin(dest.path, name);
+
+      for (const { tab, rel } of affected) {
+        tab.handle = rel.length ? await getHandleAtPath(newHandle, rel) : newHandle;
+        tab.path = rel.length ? explorerJoin(newPath, rel.join("/")) : newPath;
+        if (!rel.length) tab.name = name;
+        updateTabProject(tab);
+      }
+
+      if (node.kind === "directory") {
+        const prefix = `${node.path}/`;
+        state.explorer.expanded = new Set(Array.from(state.explorer.expanded).map((p) => (
+          p === node.path ? newPath : (p.startsWith(prefix) ? newPath + p.slice(node.path.length) : p)
+        )));
+      }
+
+      state.explorer.selected = newPath;
+      parent.children = null;
+      dest.children = null;
+      await renderExplorer();
+
+      renderTabs();
+      updateDirtyUI();
+      persistSessionSoon();
+      return true;
+    } catch (e) {
+      console.warn("[Moonskai] Rename/move failed:", e);
+      setStatus(dest === parent ? "Rename failed" : "Move failed");
+      parent.children = null;
+      dest.children = null;
+      await renderExplorer();
+      return false;
+    }
+  }
+
+  async function explorerDelete(node) {
+    if (!node || !node.path) return;
+    const parent = explorerNode(explorerParentPath(node.path));
+    if (!parent) return;
+
+    const isDir = node.kind === "directory";
+    const ok = confirm(isDir
+      ? `Delete folder "${node.name}" and everything inside it?`
+      : `Delete file "${node.name}"?`);
+    if (!ok) return;
+
+    const affected = await tabsUnderEntry(node);
+
+    try {
+      await parent.handle.removeEntry(node.name, { recursive: isDir });
+    } catch (e) {
+      console.warn("[Moonskai] Delete failed:", e);
+      setStatus("Delete failed");
+      return;
+    }
+
+    // Open tabs keep their text, but there is no longer a file behind them.
+    for (const { tab } of affected) {
+      tab.handle = null;
+      tab.lastPath = tab.path || tab.lastPath;
+      tab.path = null;
+      updateTabProject(tab);
+      clearSavePoint(tab);
+    }
+
+    const ex = state.explorer;
+    if (ex.selected && (ex.selected === node.path || ex.selected.startsWith(`${node.path}/`))) ex.selected = null;
+    ex.expanded.delete(node.path);
+    parent.children = null;
+    await renderExplorer();
+
+    renderTabs();
+    updateDirtyUI();
+    persistSessionSoon();
+    setStatus(`Deleted ${node.name}`);
+  }
+
+  function showExplorerMenu(x, y, node) {
+    const ex = state.explorer;
+    if (!ex.root || ex.needsPermission) return;
+
+    const isRoot = !node || !node.path;
+    const items = [];
+
+    if (node && node.kind === "file") items.push({ label: "Open", action: () => openExplorerFile(node) }, "-");
+    items.push(
+      { label: "New File…", action: () => explorerNewFile(node) },
+      { label: "New Folder…", action: () => explorerNewFolder(node) },
+      "-",
+      { label: "Rename…", disabled: isRoot, action: () => explorerRename(node) },
+      { label: "Move…", disabled: isRoot, action: () => explorerMove(node) },
+      { label: "Delete", disabled: isRoot, danger: true, action: () => explorerDelete(node) },
+      "-",
+      { label: "Download as Zip", disabled: !!node && node.kind !== "directory", action: () => exportFolderZip(node || explorerNode("")) },
+      { label: "Refresh", action: refreshExplorer }
+    );
+
+    showContextMenu(x, y, items);
+  }
+
+  function bindExplorerUI() {
+    if (!ui.sidebar || !ui.explorerTree) return;
+
+    if (ui.openFolder) {
+      if (!("showDirectoryPicker" in window)) {
+        ui.openFolder.title = hasOpfs()
+          ? "Open or create a project stored in this browser"
+          : "Open Folder needs the File System Access API (Chromium)";
+        if (hasOpfs()) ui.openFolder.textContent = "Projects";
+      }
+      ui.openFolder.addEventListener("click", openFolder);
+    }
+
+    if (ui.explorerToggle) {
+      ui.explorerToggle.addEventListener("click", async () => {
+        setExplorerVisible(!state.explorer.visible);
+        if (state.explorer.visible) {
+          await renderExplorer();
+          renderTimelineIfVisible();
+        }
+      });
+    }
+
+    if (ui.explorerNewFile) ui.explorerNewFile.addEventListener("click", () => explorerNewFile(null));
+    if (ui.explorerNewFolder) ui.explorerNewFolder.addEventListener("click", () => explorerNewFolder(null));
+    if (ui.explorerRefresh) ui.explorerRefresh.addEventListener("click", refreshExplorer);
+    if (ui.explorerClose) ui.explorerClose.addEventListener("click", closeFolder);
+    if (ui.explorerCollapse) {
+      ui.explorerCollapse.addEventListener("click", async () => {
+        state.explorer.expanded = new Set([""]);
+        await renderExplorer();
+      });
+    }
+
+    ui.explorerTree.tabIndex = 0;
+
+    ui.explorerTree.addEventListener("click", async (e) => {
+      const row = e.target.closest(".tree-row");
+      if (!row) return;
+      const node = explorerNode(row.getAttribute("data-path"));
+      if (!node) return;
+
+      selectExplorerPath(node.path);
+      if (node.kind === "directory") await toggleExplorerDir(node);
+      else await openExplorerFile(node);
+    });
+
+    ui.explorerTree.addEventListener("contextmenu", (e) => {
+      if (!state.explorer.root || state.explorer.needsPermission) return;
+      e.preventDefault();
+
+      const row = e.target.closest(".tree-row");
+      const node = row ? explorerNode(row.getAttribute("data-path")) : null;
+      if (node) selectExplorerPath(node.path);
+      showExplorerMenu(e.clientX, e.clientY, node);
+    });
+
+    ui.explorerTree.addEventListener("keydown", async (e) => {
+      const node = state.explorer.selected != null ? explorerNode(state.explorer.selected) : null;
+      if (!node) return;
+
+      if (e.key === "F2") {
+        e.preventDefault();
+        await explorerRename(node);
+      } else if (e.key === "Delete") {
+        e.preventDefault();
+        await explorerDelete(node);
+      } else if (e.key === "Enter") {
+        e.preventDefault();
+        if (node.kind === "directory") await toggleExplorerDir(node);
+        else await openExplorerFile(node);
+      }
+    });
+  }
+
+  // ---------------------------
+  // Browser projects (Origin Private File System)
+  // ---------------------------
+  // Without showDirectoryPicker (Firefox, Safari, mobile) projects live in the origin's private
+  // file system. Their folders are ordinary directory handles, so the explorer, find in files and
+  // Save work on them unchanged; only writing needs a worker where createWritable() is missing.
+  const OPFS_PROJECTS_DIR = "projects";
+
+  const opfsWriter = { worker: null, seq: 0, pending: new Map() };
+
+  function hasOpfs() {
+    return !!(navigator.storage && typeof navigator.storage.getDirectory === "function");
+  }
+
+  async function opfsProjectsRoot() {
+    const root = await navigator.storage.getDirectory();
+    return root.getDirectoryHandle(OPFS_PROJECTS_DIR, { create: true });
+  }
+
+  async function opfsProjectDir(name) {
+    return (await opfsProjectsRoot()).getDirectoryHandle(name);
+  }
+
+  async function listOpfsProjects() {
+    const names = [];
+    for await (const h of (await opfsProjectsRoot()).values()) {
+      if (h.kind === "directory") names.push(h.name);
+    }
+    return names.sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" }));
+  }
+
+  // Remember where a tab's file sits in a project, so it can be found again after a reload in
+  // browsers that can't store handles in IndexedDB.
+  function updateTabProject(tab) {
+    const ex = state.explorer;
+    if (ex.opfs && tab.handle && tab.path) tab.project = { name: ex.opfs, path: tab.path };
+    else if (!tab.handle) tab.project = null;
+  }
+
+  async function projectFileHandle(ref) {
+    if (!ref || !ref.name || !ref.path || !hasOpfs()) return null;
+    try {
+      return await getHandleAtPath(await opfsProjectDir(ref.name), ref.path.split("/"));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Runs inside a Blob worker (see opfsWriteFile) — Safari only offers synchronous access
+  // handles, and only in workers. It must not reference anything outside itself.
+  function opfsWriterWorker() {
+    self.onmessage = async (e) => {
+      const { id, parts, bytes } = e.data || {};
+      let access = null;
+      try {
+        let dir = await navigator.storage.getDirectory();
+        for (const name of parts.slice(0, -1)) dir = await dir.getDirectoryHandle(name);
+        const file = await dir.getFileHandle(parts[parts.length - 1], { create: true });
+        access = await file.createSyncAccessHandle();
+        access.truncate(0);
+        access.write(bytes, { at: 0 });
+        access.flush();
+        self.postMessage({ id, ok: true });
+      } catch (err) {
+        self.postMessage({ id, ok: false, message: String(err && err.message ? err.message : err) });
+      } finally {
+        try { access && access.close(); } catch (_) {}
+      }
+    };
+  }
+
+  function opfsWorker() {
+    if (opfsWriter.worker) return opfsWriter.worker;
+
+    const src = `(${opfsWriterWorker.toString()})();`;
+    const worker = new Worker(URL.createObjectURL(new Blob([src], { type: "text/javascript" })));
+
+    worker.onmessage = (e) => {
+      const msg = e.data || {};
+      const job = opfsWriter.pending.get(msg.id);
+      if (!job) return;
+      opfsWriter.pending.delete(msg.id);
+      if (msg.ok) job.resolve();
+      else job.reject(new Error(msg.message || "Write failed"));
+    };
+    worker.onerror = (e) => {
+      for (const job of opfsWriter.pending.values()) job.reject(new Error((e && e.message) || "Write failed"));
+      opfsWriter.pending.clear();
+      try { worker.terminate(); } catch (_) {}
+      opfsWriter.worker = null;
+    };
+
+    opfsWriter.worker = worker;
+    return worker;
+  }
+
+  // writeFileHandle() for handles without createWritable(); only works inside the private file system.
+  async function opfsWriteFile(handle, data) {
+    if (!hasOpfs()) throw new Error("This browser can't write files");
+    const parts = await (await navigator.storage.getDirectory()).resolve(handle);
+    if (!parts || !parts.length) throw new Error(`${handle.name} can't be written in this browser`);
+
+    const bytes = new Uint8Array(await new Blob([data]).arrayBuffer());
+    const id = ++opfsWriter.seq;
+    return new Promise((resolve, reject) => {
+      opfsWriter.pending.set(id, { resolve, reject });
+      opfsWorker().postMessage({ id, parts, bytes }, [bytes.buffer]);
+    });
+  }
+
+  async function openOpfsProject(name) {
+    let dir;
+    try {
+      dir = await opfsProjectDir(name);
+    } catch (_) {
+      setStatus(`Project ${name} not found`);
+      return false;
+    }
+
+    await setExplorerRoot(dir, { opfs: name });
+    try { await kvSet(wsKey("explorer_root"), { opfs: name }); } catch (_) {}
+    setStatus(`Opened project ${name}`);
+    return true;
+  }
+
+  async function createOpfsProject() {
+    const name = promptEntryName("New project name:", "");
+    if (!name) return;
+
+    try {
+      const root = await opfsProjectsRoot();
+      if (await entryExists(root, name)) {
+        setStatus(`Project "${name}" already exists`);
+        return;
+      }
+      await root.getDirectoryHandle(name, { create: true });
+    } catch (e) {
+      console.warn("[Moonskai] Could not create project:", e);
+      setStatus("Could not create project");
+      return;
+    }
+
+    await openOpfsProject(name);
+  }
+
+  async function deleteOpfsProject(name) {
+    if (!confirm(`Delete project "${name}" and all of its files from this browser? This can't be undone.`)) return;
+
+    try {
+      const root = await opfsProjectsRoot();
+      const affected = await tabsUnderEntry({ kind: "directory", handle: await root.getDirectoryHandle(name) });
+      await root.removeEntry(name, { recursive: true });
+
+      // Like deleting from the explorer: open tabs keep their text but lose the file behind them.
+      for (const { tab } of affected) {
+        tab.handle = null;
+        tab.lastPath = tab.path || tab.lastPath;
+        tab.path = null;
+        updateTabProject(tab);
+        clearSavePoint(tab);
+      }
+    } catch (e) {
+      console.warn("[Moonskai] Could not delete project:", e);
+      setStatus("Could not delete project");
+      return;
+    }
+
+    if (state.explorer.opfs === name) await closeFolder();
+    renderTabs();
+    updateDirtyUI();
+    persistSessionSoon();
+    setStatus(`Deleted project ${name}`);
+  }
+
+  async function collectFolderFiles(dir, prefix, out) {
+    let empty = true;
+    for await (const h of dir.values()) {
+      empty = false;
+      const path = explorerJoin(prefix, h.name);
+      if (h.kind === "directory") await collectFolderFiles(h, path, out);
+      else out.push({ name: path, data: new Uint8Array(await (await h.getFile()).arrayBuffer()) });
+    }
+    // Keep empty folders as directory entries.
+    if (empty && prefix) out.push({ name: `${prefix}/`, data: "" });
+    return out;
+  }
+
+  // What's on disk, not unsaved edits in open tabs.
+  async function exportFolderZip(node) {
+    if (!node || !node.handle) return;
+
+    setStatus(`Zipping ${node.name}…`);
+    try {
+      const files = await collectFolderFiles(node.handle, "", []);
+      downloadBlob(await zipCreate(files), `${archiveSafeName(node.name)}.zip`);
+      setStatus(`Downloaded ${node.name}.zip (${files.filter(f => !f.name.endsWith("/")).length} file(s))`);
+    } catch (e) {
+      console.warn("[Moonskai] Zip export failed:", e);
+      setStatus("Zip export failed");
+    }
+  }
+
+  async function importProjectZip(file) {
+    if (!file) return;
+
+    let entries;
+    try {
+      entries = await zipRead(file);
+    } catch (e) {
+      console.warn("[Moonskai] Project import failed:", e);
+      setStatus(e && e.message ? e.message : "Import failed");
+      return;
+    }
+
+    const names = Array.from(entries.keys()).filter(n => !n.startsWith("__MACOSX/"));
+    if (!names.length) {
+      setStatus("The zip has no files");
+      return;
+    }
+
+    // Archives of a single folder (e.g. repository downloads) unpack without that wrapper folder.
+    const tops = new Set(names.map(n => n.split("/")[0]));
+    const wrapper = tops.size === 1 && names.every(n => n.includes("/")) ? names[0].split("/")[0] : null;
+
+    const name = promptEntryName("Import as project named:", archiveSafeName(wrapper || file.name.replace(/\.zip$/i, "")));
+    if (!name) return;
+
+    let count = 0;
+    try {
+      const root = await opfsProjectsRoot();
+      if (await entryExists(root, name)) {
+        setStatus(`Project "${name}" already exists`);
+        return;
+      }
+
+      const dir = await root.getDirectoryHandle(name, { create: true });
+      setStatus(`Importing ${names.filter(n => !n.endsWith("/")).length} file(s)…`);
+      for (const entry of names) {
+        const isDir = entry.endsWith("/");
+        const parts = (wrapper ? entry.slice(wrapper.length + 1) : entry)
+          .split("/")
+          .filter(p => p && p !== "." && p !== "..")
+          .map(archiveSafeName);
+        if (!parts.length) continue;
+
+        // Folders (kept so empty ones survive the round trip) and the folders a file sits in.
+        let d = dir;
+        for (const part of isDir ? parts : parts.slice(0, -1)) d = await d.getDirectoryHandle(part, { create: true });
+        if (isDir) continue;
+
+        await writeFileHandle(await d.getFileHandle(parts[parts.length - 1], { create: true }), entries.get(entry));
+        count++;
+      }
+    } catch (e) {
+      console.warn("[Moonskai] Project import failed:", e);
+      setStatus(count ? `Import stopped after ${count} file(s)` : "Import failed");
+      if (!count) return;
+    }
+
+    if (await openOpfsProject(name)) setStatus(`Imported ${count} file(s) into ${name}`);
+  }
+
+  // Save As when there is no save picker: write into the open project.
+  async function saveTabToProject(t, { allowLossy = false } = {}) {
+    const ex = state.explorer;
+    const dir = explorerTargetDir(null);
+    const raw = prompt(`Save to project "${ex.root.name}" as:`, explorerJoin(dir ? dir.path : "", t.name || "untitled"));
+    if (raw == null) {
+      setStatus("Save As canceled");
+      return false;
+    }
+
+    const parts = String(raw).trim().split("/").map(p => p.trim()).filter(Boolean);
+    if (!parts.length || parts.some(p => p === "." || p === ".." || /[\\:*?"<>|]/.test(p))) {
+      setStatus("Invalid name");
+      return false;
+    }
+
+    try {
+      let d = ex.root;
+      for (const part of parts.slice(0, -1)) d = await d.getDirectoryHandle(part, { create: true });
+
+      const name = parts[parts.length - 1];
+      if (await entryExists(d, name) && !confirm(`"${parts.join("/")}" already exists. Replace it?`)) {
+        setStatus("Save As canceled");
+        return false;
+      }
+
+      t.handle = await d.getFileHandle(name, { create: true });
+      t.name = name;
+      t.path = parts.join("/");
+      t.disk = null; // a different file
+      t.diskConflict = null;
+      hideBanner(`disk:${t.id}`);
+      updateTabProject(t);
+
+      const ok = await writeTabToHandle(t, { statusLabel: "Saved As", allowLossy });
+      for (let p = explorerParentPath(t.path); p; p = explorerParentPath(p)) ex.expanded.add(p);
+      await refreshExplorer();
+      markExplorerActive();
+      return ok;
+    } catch (e) {
+      console.warn("[Moonskai] Save to project failed:", e);
+      setStatus("Save As failed");
+      return false;
+    }
+  }
+
+  async function showProjectMenu(x, y) {
+    let names = [];
+    try {
+      names = await listOpfsProjects();
+    } catch (e) {
+      console.warn("[Moonskai] Browser file system unavailable:", e);
+      setStatus("Projects are unavailable in this browser");
+      return;
+    }
+
+    const cur = state.explorer.opfs;
+    const items = names.map(name => ({ label: name === cur ? `✓ ${name}` : name, action: () => openOpfsProject(name) }));
+    if (items.length) items.push("-");
+    items.push(
+      { label: "New Project…", action: createOpfsProject },
+      {
+        label: "Import Project from Zip…",
+        disabled: !ui.importProjectInput,
+        action: () => {
+          ui.importProjectInput.value = "";
+          ui.importProjectInput.click();
+        }
+      }
+    );
+    if (cur) {
+      items.push(
+        "-",
+        { label: "Download Project as Zip", action: () => exportFolderZip(explorerNode("")) },
+        { label: `Delete "${cur}"…`, danger: true, action: () => deleteOpfsProject(cur) }
+      );
+    }
+
+    showContextMenu(x, y, items);
+  }
+
+  function bindProjectUI() {
+    if (!ui.importProjectInput) return;
+    ui.importProjectInput.addEventListener("change", () => {
+      const f = ui.importProjectInput.files && ui.importProjectInput.files[0];
+      importProjectZip(f);
+    });
+  }
+
+  // ---------------------------
+  // Find in files (workspace folder)
+  // ---------------------------
+  const SEARCH_MAX_RESULTS = 20000;
+
+  const findState = { seq: 0, run: null };
+  let replacePreview = null; // { files, index, prevMode, original, modified }
+
+  // Runs inside a Blob worker (see createSearchWorker) — it must not reference anything outside itself.
+  function findInFilesWorker() {
+    const MAX_FILE_BYTES = 4 * 1024 * 1024;
+    const PREVIEW_CHARS = 160;
+
+    function globToRegExp(glob) {
+      const g = String(glob).trim().replace(/^\.?\//, "").replace(/\/+$/, "");
+      let re = "";
+      let inBraces = 0;
+
+      for (let i = 0; i < g.length; i++) {
+        const c = g[i];
+        if (c === "*") {
+          if (g[i + 1] === "*") {
+            i++;
+            if (g[i + 1] === "/") {
+              i++;
+              re += "(?:.*/)?";
+            } else {
+              re += ".*";
+            }
+          } else {
+            re += "[^/]*";
+          }
+        } else if (c === "?") {
+          re += "[^/]";
+        } else if (c === "{") {
+          inBraces++;
+          re += "(?:";
+        } else if (c === "}" && inBraces) {
+          inBraces--;
+          re += ")";
+        } else if (c === "," && inBraces) {
+          re += "|";
+        } else {
+          re += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+        }
+      }
+
+      // Without a slash the glob may match any path segment ("*.js", "node_modules").
+      // Either way a matching folder also matches everything beneath it.
+      return g.includes("/")
+        ? new RegExp(`^${re}(?:/|$)`, "i")
+        : new RegExp(`(?:^|/)${re}(?:/|$)`, "i");
+    }
+
+    function matchesAny(list, path) {
+      return list.some((re) => re.test(path));
+    }
+
+    function looksBinary(bytes) {
+      const n = Math.min(bytes.length, 8000);
+      for (let i = 0; i < n; i++) {
+        if (bytes[i] === 0) return true;
+      }
+      return false;
+    }
+
+    function searchText(text, re, limit) {
+      const out = [];
+      let lineNo = 1;
+      let lineStart = 0;
+      let m;
+
+      re.lastIndex = 0;
+      while (out.length < limit && (m = re.exec(text)) !== null) {
+        const idx = m.index;
+
+        let nl = text.indexOf("\n", lineStart);
+        while (nl !== -1 && nl < idx) {
+          lineNo++;
+          lineStart = nl + 1;
+          nl = text.indexOf("\n", lineStart);
+        }
+
+        let lineEnd = nl === -1 ? text.length : nl;
+        if (text[lineEnd - 1] === "\r") lineEnd--;
+        const lineText = text.slice(lineStart, lineEnd);
+
+        const col = idx - lineStart;
+        const matched = m[0];
+        const breaks = matched.split("\n").length - 1;
+        const endCol = breaks
+          ? matched.length - matched.lastIndexOf("\n")
+          : col + 1 + matched.length;
+
+        const from = Math.max(0, col - 40);
+        out.push({
+          line: lineNo,
+          col: col + 1,
+          endLine: lineNo + breaks,
+          endCol,
+          preview: lineText.slice(from, from + PREVIEW_CHARS),
+          previewCol: col - from,
+          previewLen: Math.min(matched.length, lineText.length - col)
+        });
+
+        if (matched.length === 0) re.lastIndex++;
+      }
+
+      return out;
+    }
+
+    self.onmessage = async (e) => {
+      const msg = e.data || {};
+      if (msg.type !== "search") return;
+
+      const overrides = msg.overrides || {};
+      const include = (msg.include || []).map(globToRegExp);
+      const exclude = (msg.exclude || []).map(globToRegExp);
+      const maxResults = msg.maxResults || 20000;
+
+      let re;
+      try {
+        re = new RegExp(msg.source, msg.flags);
+      } catch (err) {
+        self.postMessage({ type: "error", message: String(err && err.message ? err.message : err) });
+        return;
+      }
+
+      let total = 0;
+      let files = 0;
+      let scanned = 0;
+      let skipped = 0;
+      let truncated = false;
+
+      const walk = async (dir, prefix) => {
+        for await (const h of dir.values()) {
+          if (truncated) return;
+
+          const path = prefix ? `${prefix}/${h.name}` : h.name;
+          if (exclude.length && matchesAny(exclude, path)) continue;
+
+          if (h.kind === "directory") {
+            await walk(h, path);
+            continue;
+          }
+          if (include.length && !matchesAny(include, path)) continue;
+
+          let text = null;
+          if (Object.prototype.hasOwnProperty.call(overrides, path)) {
+            text = overrides[path];
+          } else {
+            try {
+              const file = await h.getFile();
+              if (file.size > MAX_FILE_BYTES) {
+                skipped++;
+                continue;
+              }
+              const bytes = new Uint8Array(await file.arrayBuffer());
+              if (looksBinary(bytes)) continue;
+              text = new TextDecoder().decode(bytes);
+            } catch (_) {
+              skipped++;
+              continue;
+            }
+          }
+
+          scanned++;
+          const matches = searchText(text, re, maxResults - total);
+          if (matches.length) {
+            total += matches.length;
+            files++;
+            self.postMessage({ type: "file", path, matches });
+          }
+
+          if (total >= maxResults) truncated = true;
+          if (scanned % 250 === 0) self.postMessage({ type: "progress", scanned });
+        }
+      };
+
+      try {
+        await walk(msg.root, "");
+        self.postMessage({ type: "done", total, files, scanned, skipped, truncated });
+      } catch (err) {
+        self.postMessage({ type: "error", message: String(err && err.message ? err.message : err) });
+      }
+    };
+  }
+
+  function createSearchWorker() {
+    const src = `(${findInFilesWorker.toString()})();`;
+    const url = URL.createObjectURL(new Blob([src], { type: "text/javascript" }));
+    const worker = new Worker(url);
+    worker.__blobUrl = url;
+    return worker;
+  }
+
+  function readSearchOptions() {
+    const pressed = (el) => !!(el && el.getAttribute("aria-pressed") === "true");
+    return {
+      query: ui.searchQuery ? ui.searchQuery.value : "",
+      caseSensitive: pressed(ui.searchCase),
+      wholeWord: pressed(ui.searchWord),
+      regex: pressed(ui.searchRegex),
+      include: ui.searchInclude ? ui.searchInclude.value : "",
+      exclude: ui.searchExclude ? ui.searchExclude.value : ""
+    };
+  }
+
+  function sameSearchOptions(a, b) {
+    return !!a && !!b && ["query", "caseSensitive", "wholeWord", "regex", "include", "exclude"].every((k) => a[k] === b[k]);
+  }
+
+  function splitGlobs(value) {
+    return String(value || "").split(",").map((s) => s.trim()).filter(Boolean);
+  }
+
+  // Throws on an invalid regular expression.
+  function buildSearchRegExp({ query, regex, caseSensitive, wholeWord }) {
+    let source = regex ? query : escapeRegExp(query);
+    if (wholeWord) source = `\\b(?:${source})\\b`;
+    return new RegExp(source, `gm${caseSensitive ? "" : "i"}`);
+  }
+
+  function setSearchSummary(text) {
+    if (ui.searchSummary) ui.searchSummary.textContent = text || "";
+  }
+
+  function cancelFindInFiles() {
+    const run = findState.run;
+    if (!run || !run.worker) return;
+    try { run.worker.terminate(); } catch (_) {}
+    try { URL.revokeObjectURL(run.worker.__blobUrl); } catch (_) {}
+    run.worker = null;
+    run.running = false;
+  }
+
+  async function runFindInFiles() {
+    const ex = state.explorer;
+    if (replacePreview) endReplacePreview();
+
+    if (!ex.root || ex.needsPermission) {
+      cancelFindInFiles();
+      ui.searchResults.innerHTML = "";
+      setSearchSummary(ex.root ? "Reconnect the folder to search it." : "Open a folder to search its files.");
+      return;
+    }
+
+    const options = readSearchOptions();
+    if (!options.query) {
+      cancelFindInFiles();
+      findState.run = null;
+      ui.searchResults.innerHTML = "";
+      setSearchSummary("");
+      return;
+    }
+
+    let regex;
+    try {
+      regex = buildSearchRegExp(options);
+      ui.searchQuery.classList.remove("invalid");
+    } catch (e) {
+      ui.searchQuery.classList.add("invalid");
+      setSearchSummary(`Invalid regular expression: ${e && e.message ? e.message : e}`);
+      return;
+    }
+
+    cancelFindInFiles();
+
+    // Unsaved edits in open tabs win over what's on disk.
+    const overrides = {};
+    for (const t of state.tabs) {
+      if (t && t.handle && t.path && t.dirty) overrides[t.path] = t.model.getValue();
+    }
+
+    let worker;
+    try {
+      worker = createSearchWorker();
+    } catch (e) {
+      console.warn("[Moonskai] Search worker failed to start:", e);
+      setSearchSummary("Search is unavailable in this browser.");
+      return;
+    }
 
+    const run = { id: ++findState.seq, worker, running: true, options, regex, files: [], total: 0 };
+    findState.run = run;
+    ui.searchResults.innerHTML = "";
+    setSearchSummary("Searching…");
 
-            async function saveAsActive() {
-    const t = activeTab();
-    if (!t) return;
+    worker.onmessage = (e) => handleSearchMessage(run, e.data || {});
+    worker.onerror = (e) => {
+      console.warn("[Moonskai] Search worker error:", e);
+      handleSearchMessage(run, { type: "error", message: (e && e.message) || "Search failed" });
+    };
 
-    // File System Access API (preferred)
-    if ("showSaveFilePicker" in window) {
-      try {
-        const handle = await window.showSaveFilePicker({
-  suggestedName: t.name || "untitled"
-});
+    worker.postMessage({
+      type: "search",
+      root: ex.root,
+      source: regex.source,
+      flags: regex.flags,
+      include: splitGlobs(options.include),
+      exclude: splitGlobs(options.exclude),
+      overrides,
+      maxResults: SEARCH_MAX_RESULTS
+    });
+  }
 
+  function handleSearchMessage(run, msg) {
+    if (findState.run !== run) return;
 
-        t.handle = handle;
-        t.name = (handle && handle.name) ? handle.name : t.name;
+    if (msg.type === "file") {
+      const entry = { path: msg.path, matches: msg.matches || [] };
+      run.files.push(entry);
+      run.total += entry.matches.length;
+      ui.searchResults.appendChild(renderSearchGroup(entry));
+      setSearchSummary(`Searching… ${run.total} result(s) in ${run.files.length} file(s)`);
+      return;
+    }
 
-        const ok = await writeTabToHandle(t, { statusLabel: "Saved As", promptPermission: true });
-        if (!ok) setStatus("Save As needs permission");
-        return;
-      } catch (e) {
-        // User canceled -> stop cleanly.
-        if (e && e.name === "AbortError") {
-          setStatus("Save As canceled");
-          return;
-        }
+    if (msg.type === "progress") {
+      setSearchSummary(`Searching… ${run.total} result(s) in ${run.files.length} file(s), ${msg.scanned} scanned`);
+      return;
+    }
 
-        // Picker failed/blocked -> DO NOT exit unsaved. Fall through to download fallback.
-        console.warn("[Moonskai] Save As picker failed; falling back to download:", e);
-        setStatus("Save As unavailable — downloading");
+    if (msg.type === "done" || msg.type === "error") {
+      cancelFindInFiles();
+
+      if (msg.type === "error") {
+        setSearchSummary(`Search failed: ${msg.message || "unknown error"}`);
+        return;
       }
-    }
 
-    // Fallback download (also used when picker fails)
-    const suggested = (t.name || "untitled").replace(/[\\\/:*?"<>|]/g, "_");
-    const name = prompt("Save As filename:", suggested);
-    if (!name) {
-      setStatus("Save As canceled");
-      return;
+      let text = msg.total
+        ? `${msg.total} result(s) in ${msg.files} file(s)`
+        : "No results";
+      if (msg.truncated) text += " (result limit reached)";
+      if (msg.skipped) text += ` — ${msg.skipped} large or unreadable file(s) skipped`;
+      setSearchSummary(text);
     }
-    t.name = String(name).trim() || suggested;
+  }
 
-    const text = getTextForSave(t);
-    const blob = new Blob([text], { type: "text/plain" });
+  function renderSearchGroup(entry) {
+    const group = document.createElement("div");
+    group.className = "search-group";
+
+    const head = document.createElement("div");
+    head.className = "search-file";
+    head.setAttribute("data-path", entry.path);
+    head.title = entry.path;
+
+    const twisty = document.createElement("span");
+    twisty.className = "tree-twisty";
+    twisty.textContent = "▾";
+
+    const slash = entry.path.lastIndexOf("/");
+    const name = document.createElement("span");
+    name.className = "search-path";
+    name.textContent = slash < 0 ? entry.path : entry.path.slice(slash + 1);
+
+    const dir = document.createElement("span");
+    dir.className = "search-path muted small";
+    dir.textContent = slash < 0 ? "" : entry.path.slice(0, slash);
+
+    const count = document.createElement("span");
+    count.className = "search-count";
+    count.textContent = String(entry.matches.length);
+
+    head.appendChild(twisty);
+    head.appendChild(name);
+    head.appendChild(dir);
+    head.appendChild(count);
+
+    const list = document.createElement("div");
+    list.className = "search-file-matches";
+
+    entry.matches.forEach((m, i) => {
+      const row = document.createElement("div");
+      row.className = "search-match";
+      row.setAttribute("data-path", entry.path);
+      row.setAttribute("data-idx", String(i));
+
+      const line = document.createElement("span");
+      line.className = "search-line";
+      line.textContent = String(m.line);
+
+      const preview = document.createElement("span");
+      preview.className = "search-preview";
+      preview.appendChild(document.createTextNode(m.preview.slice(0, m.previewCol)));
+      const mark = document.createElement("mark");
+      mark.textContent = m.preview.slice(m.previewCol, m.previewCol + m.previewLen);
+      preview.appendChild(mark);
+      preview.appendChild(document.createTextNode(m.preview.slice(m.previewCol + m.previewLen)));
+
+      row.appendChild(line);
+      row.appendChild(preview);
+      list.appendChild(row);
+    });
 
-    const a = document.createElement("a");
-    a.href = URL.createObjectURL(blob);
-    a.download = t.name;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(a.href);
+    group.appendChild(head);
+    group.appendChild(list);
+    return group;
+  }
 
-    t.dirty = false;
-    updateDirtyUI();
-    renderTabs();
-    persistSessionSoon();
-    setStatus("Downloaded");
+  async function revealSearchMatch(path, match) {
+    const root = state.explorer.root;
+    if (!root) return;
+
+    try {
+      const handle = await getHandleAtPath(root, path.split("/"));
+      const tab = await openFileHandle(handle);
+      if (tab && !tab.path) tab.path = path;
+
+      const ed = getActiveEditor();
+      if (!ed || !match) return;
+      const range = new monaco.Range(match.line, match.col, match.endLine, match.endCol);
+      ed.setSelection(range);
+      ed.revealRangeInCenter(range);
+      ed.focus();
+    } catch (e) {
+      console.warn("[Moonskai] Could not open search result:", e);
+      setStatus(`Could not open ${path}`);
+    }
   }
 
+  function showFindInFiles() {
+    setExplorerVisible(true);
+    setSidebarView("search");
 
- async function saveAll() {
-  const originalActiveId = state.activeId;
-  let savedCount = 0;
-  let skippedCount = 0;
+    // Seed the query with a single-line selection, like most editors do.
+    try {
+      const ed = getActiveEditor();
+      const sel = ed && ed.getSelection();
+      const text = sel && !sel.isEmpty() ? ed.getModel().getValueInRange(sel) : "";
+      if (text && !text.includes("\n")) ui.searchQuery.value = text;
+    } catch (_) {}
 
-  for (const t of state.tabs) {
-    if (!t) continue;
+    ui.searchQuery.focus();
+    ui.searchQuery.select();
+  }
 
-    if (t.handle) {
+  // ---------------------------
+  // Replace all (preview in the DiffEditor before writing)
+  // ---------------------------
+  async function startReplacePreview() {
+    const run = findState.run;
+    if (!run || !sameSearchOptions(run.options, readSearchOptions())) {
+      await runFindInFiles();
+      setStatus("Search updated — review the results, then Replace All again");
+      return;
+    }
+    if (run.running) {
+      setStatus("Wait for the search to finish");
+      return;
+    }
+    if (!run.files.length) {
+      setStatus("Nothing to replace");
+      return;
+    }
+
+    const root = state.explorer.root;
+    const replacement = ui.searchReplace ? ui.searchReplace.value : "";
+    const files = [];
+
+    for (const entry of run.files) {
       try {
-        const ok = await writeTabToHandle(t, {
-          statusLabel: "Saved",
-          silent: true,
-          promptPermission: true
+        const handle = await getHandleAtPath(root, entry.path.split("/"));
+        const tab = await findTabByHandle(handle);
+        const { text: original, encoding } = tab
+          ? { text: tab.model.getValue(), encoding: tabEncoding(tab) }
+          : await readFileText(await handle.getFile());
+
+        const re = new RegExp(run.regex.source, run.regex.flags);
+        const count = (original.match(re) || []).length;
+        if (!count) continue;
+
+        re.lastIndex = 0;
+        const replaced = run.options.regex
+          ? original.replace(re, replacement)
+          : original.replace(re, () => replacement);
+        if (replaced === original) continue;
+
+        const slash = entry.path.lastIndexOf("/");
+        files.push({
+          path: entry.path,
+          name: slash < 0 ? entry.path : entry.path.slice(slash + 1),
+          handle,
+          tab,
+          encoding,
+          original,
+          replaced,
+          count
         });
-        if (ok) savedCount++;
-        else skippedCount++;
       } catch (e) {
-        console.warn("[Moonskai] Save All failed for tab:", t && t.name, e);
-        skippedCount++;
+        console.warn("[Moonskai] Replace preview skipped:", entry.path, e);
       }
-    } else {
-      skippedCount++;
     }
-  }
 
-  if (originalActiveId) {
-    setActiveTab(originalActiveId);
+    if (!files.length) {
+      setStatus("Nothing to replace");
+      return;
+    }
+
+    replacePreview = {
+      files,
+      index: 0,
+      prevMode: state.view.mode,
+      original: monaco.editor.createModel("", "plaintext"),
+      modified: monaco.editor.createModel("", "plaintext")
+    };
+
+    if (ui.replacePreviewBar) ui.replacePreviewBar.style.display = "grid";
+    setViewMode("diff");
+    await showReplacePreviewFile(0);
   }
 
-  if (skippedCount > 0) {
-    setStatus(`Saved ${savedCount} file(s), skipped ${skippedCount}`);
-  } else {
-    setStatus(`Saved all (${savedCount})`);
+  async function showReplacePreviewFile(index) {
+    const p = replacePreview;
+    if (!p) return;
+
+    p.index = (index + p.files.length) % p.files.length;
+    const f = p.files[p.index];
+    const lang = inferLanguageFromFilename(f.name);
+    try { await ensureLanguageLoaded(lang); } catch (_) {}
+    if (replacePreview !== p) return;
+
+    p.original.setValue(f.original);
+    p.modified.setValue(f.replaced);
+    monaco.editor.setModelLanguage(p.original, lang);
+    monaco.editor.setModelLanguage(p.modified, lang);
+    syncDiffModel();
+
+    const total = p.files.reduce((n, x) => n + x.count, 0);
+    if (ui.replacePreviewLabel) {
+      ui.replacePreviewLabel.textContent =
+        `File ${p.index + 1} of ${p.files.length}: ${f.path} (${f.count} of ${total} replacement(s))`;
+    }
   }
-}
 
-  // ---------------------------
-  // Session persistence (IndexedDB docs + localStorage pointers)
-  // ---------------------------
-  let persistTimer = null;
+  function endReplacePreview({ restoreView = true } = {}) {
+    const p = replacePreview;
+    if (!p) return;
+    replacePreview = null;
 
-  function persistSessionSoon() {
-    if (persistTimer) clearTimeout(persistTimer);
-    persistTimer = setTimeout(persistSession, 350);
+    if (ui.replacePreviewBar) ui.replacePreviewBar.style.display = "none";
+    try { diffEditor && diffEditor.setModel(null); } catch (_) {}
+    try { p.original.dispose(); } catch (_) {}
+    try { p.modified.dispose(); } catch (_) {}
+
+    if (restoreView) setViewMode(p.prevMode || "split");
   }
 
-      async function persistSession() {
-    persistTimer = null;
+  async function applyReplacePreview() {
+    const p = replacePreview;
+    if (!p) return;
 
-    const docs = [];
-    for (const t of state.tabs) {
-      // Persist file handles when supported (Chromium). If not cloneable, store null.
-      let safeHandle = null;
+    let written = 0;
+    let unsaved = 0;
+    let failed = 0;
+
+    for (const f of p.files) {
       try {
-        if (t.handle) {
-          if (typeof structuredClone === "function") structuredClone(t.handle);
-          safeHandle = t.handle;
-        }
-      } catch (_) {
-        safeHandle = null;
-      }
+        const tab = (f.tab && state.tabs.includes(f.tab)) ? f.tab : await findTabByHandle(f.handle);
 
-      docs.push({
-        id: t.id,
-        name: t.name,
-        language: t.language,
-        content: t.model.getValue(),
-        dirty: t.dirty,
-        handle: safeHandle
-      });
-    }
+        if (tab) {
+          // The buffer changed after the preview was built; don't clobber it.
+          if (tab.model.getValue() !== f.original) {
+            failed++;
+            continue;
+          }
 
-    // Delete stored docs that are no longer open
-    try {
-      const keep = new Set(docs.map(d => d.id));
-      const existing = await docsList();
-      for (const d of existing) {
-        if (!keep.has(d.id)) await docsDelete(d.id);
-      }
-    } catch (_) {}
+          const wasDirty = tab.dirty;
+          tab.model.pushEditOperations([], [{ range: tab.model.getFullModelRange(), text: f.replaced }], () => null);
+          updateTabDirty(tab);
 
-    // Write docs (retry without handle if put fails)
-    for (const d of docs) {
-      try {
-        await docsPut(d);
+          // Leave tabs that already had unsaved edits unsaved.
+          if (wasDirty) {
+            unsaved++;
+            continue;
+          }
+          if (await writeTabToHandle(tab, { silent: true })) written++;
+          else failed++;
+          continue;
+        }
+
+        const { text: current } = await readFileText(await f.handle.getFile(), f.encoding);
+        if (current !== f.original) {
+          failed++;
+          continue;
+        }
+
+        // Exactly the text the preview showed: no trimming or EOL changes from the save path.
+        const { bytes, lossy } = encodeText(f.replaced, f.encoding);
+        if (lossy) {
+          console.warn("[Moonskai] Replace skipped, text doesn't fit the file's encoding:", f.path);
+          failed++;
+          continue;
+        }
+        await writeFileHandle(f.handle, new Blob([bytes], { type: "text/plain" }));
+        broadcastWindowMessage({ type: "file-saved", handle: f.handle, name: f.name });
+        written++;
       } catch (e) {
-        try { await docsPut({ ...d, handle: null }); } catch (_) {}
+        console.warn("[Moonskai] Replace failed for:", f.path, e);
+        failed++;
       }
     }
 
-    await kvSet("session_activeId", state.activeId);
+    endReplacePreview();
+    renderTabs();
+    updateDirtyUI();
+    persistSessionSoon();
+
+    let msg = `Replaced in ${written} file(s)`;
+    if (unsaved) msg += `, ${unsaved} open tab(s) left unsaved`;
+    if (failed) msg += `, ${failed} failed or changed since preview`;
+    setStatus(msg);
+
+    await runFindInFiles();
   }
 
+  function bindSearchUI() {
+    if (!ui.searchForm) return;
 
+    ui.sidebar.querySelectorAll(".sidebar-tab").forEach((btn) => {
+      btn.addEventListener("click", () => setSidebarView(btn.getAttribute("data-view")));
+    });
 
-  async function loadSession() {
-    const docs = await docsList();
-    state.tabs = [];
+    ui.searchForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      runFindInFiles();
+    });
 
-        for (const d of docs) {
-            const tab = await createTab({
-        name: d.name,
-        content: d.content,
-        language: d.language,
-        handle: d.handle || null
+    for (const btn of [ui.searchCase, ui.searchWord, ui.searchRegex]) {
+      if (!btn) continue;
+      btn.addEventListener("click", () => {
+        btn.setAttribute("aria-pressed", btn.getAttribute("aria-pressed") === "true" ? "false" : "true");
+        if (ui.searchQuery.value) runFindInFiles();
       });
-
-      tab.id = d.id; // preserve id
-      tab.dirty = !!d.dirty;
-      // NOTE: createTab() already pushes into state.tabs
     }
 
-
-    const activeId = await kvGet("session_activeId");
-    if (activeId && state.tabs.some(t => t.id === activeId)) {
-      state.activeId = activeId;
-    } else if (state.tabs.length > 0) {
-      state.activeId = state.tabs[0].id;
+    if (ui.searchReplaceAll) ui.searchReplaceAll.addEventListener("click", startReplacePreview);
+    if (ui.replacePreviewPrev) ui.replacePreviewPrev.addEventListener("click", () => replacePreview && showReplacePreviewFile(replacePreview.index - 1));
+    if (ui.replacePreviewNext) ui.replacePreviewNext.addEventListener("click", () => replacePreview && showReplacePreviewFile(replacePreview.index + 1));
+    if (ui.replacePreviewApply) ui.replacePreviewApply.addEventListener("click", applyReplacePreview);
+    if (ui.replacePreviewCancel) {
+      ui.replacePreviewCancel.addEventListener("click", () => {
+        endReplacePreview();
+        setStatus("Replace canceled");
+      });
     }
 
-    renderTabs();
-    if (state.activeId) setActiveTab(state.activeId);
-  }
-
-  async function clearSessionDocs() {
-    const docs = await docsList();
-    for (const d of docs) await docsDelete(d.id);
-    await kvSet("session_activeId", null);
-  }
-  async function purgeSessionDocsByNameFragment(fragment) {
-    const needle = String(fragment || "").trim().toLowerCase();
-    if (!needle) return 0;
-
-    const docs = await docsList();
-    let removed = 0;
+    ui.searchResults.addEventListener("click", (e) => {
+      const head = e.target.closest(".search-file");
+      const row = e.target.closest(".search-match");
+      const path = (head || row) ? (head || row).getAttribute("data-path") : null;
+      if (!path) return;
 
-    for (const d of docs) {
-      const name = String(d && d.name ? d.name : "").toLowerCase();
-      if (name.includes(needle)) {
-        await docsDelete(d.id);
-        removed++;
+      // While previewing, results navigate the preview instead of opening files.
+      if (replacePreview) {
+        const i = replacePreview.files.findIndex((f) => f.path === path);
+        if (i >= 0) showReplacePreviewFile(i);
+        return;
       }
-    }
 
-    // If the active tab was purged, clear the pointer
-    try {
-      const activeId = await kvGet("session_activeId");
-      if (activeId && docs.some(x => x.id === activeId && String(x.name || "").toLowerCase().includes(needle))) {
-        await kvSet("session_activeId", null);
+      if (head) {
+        head.classList.toggle("collapsed");
+        const twisty = head.querySelector(".tree-twisty");
+        if (twisty) twisty.textContent = head.classList.contains("collapsed") ? "▸" : "▾";
+        return;
       }
-    } catch (_) {}
 
-    return removed;
+      const run = findState.run;
+      const entry = run ? run.files.find((f) => f.path === path) : null;
+      const match = entry ? entry.matches[parseInt(row.getAttribute("data-idx") || "0", 10)] : null;
+      revealSearchMatch(path, match);
+    });
   }
 
   // ---------------------------
-  // New tab
+  // OS integration: "Open with Moonskai" (file_handlers) and share_target
   // ---------------------------
-  async function newTab() {
-    const tab = await createTab({
-      name: "untitled",
-      content: sampleForLanguage("flow"),
-      language: "flow"
+  // Launched files arrive as writable-on-request FileSystemFileHandles.
+  function setupLaunchQueue() {
+    if (!("launchQueue" in window) || typeof window.launchQueue.setConsumer !== "function") return;
+
+    window.launchQueue.setConsumer(async (params) => {
+      const handles = (params && params.files) || [];
+      let last = null;
+      for (const h of handles) {
+        if (!h || h.kind !== "file") continue;
+        try {
+          const tab = await openFileHandle(h, { activate: false });
+          if (tab) last = tab;
+        } catch (e) {
+          console.warn("[Moonskai] Could not open launched file:", h.name, e);
+        }
+      }
+      if (!last) return;
+
+      state.activeId = last.id;
+      renderTabs();
+      setActiveTab(last.id);
+      setStatus(handles.length > 1 ? `Opened ${handles.length} files` : `Opened ${last.name}`);
     });
+  }
+
+  // share_target uses GET: ./?share-target&title=…&text=…&url=…
+  async function consumeSharedText() {
+    const params = new URLSearchParams(location.search);
+    if (!params.has("share-target")) return;
+
+    // Drop the parameters so a reload doesn't add the tab again.
+    try { history.replaceState(null, "", location.pathname + location.hash); } catch (_) {}
+
+    const title = (params.get("title") || "").trim();
+    const text = params.get("text") || "";
+    const url = params.get("url") || "";
+    const content = [text, url && !text.includes(url) ? url : ""].filter(Boolean).join("\n");
+    if (!content && !title) return;
 
+    const base = title ? title.replace(/[\\\/:*?"<>|]+/g, "_").slice(0, 80) : "shared";
+    const tab = await createTab({ name: /\.[a-z0-9]+$/i.test(base) ? base : `${base}.txt`, content: content || title, handle: null });
+    clearSavePoint(tab); // only lives in this browser until saved
     state.activeId = tab.id;
     renderTabs();
     setActiveTab(tab.id);
-    setStatus("New file");
+    setStatus("Shared text opened in a new tab");
   }
 
   // ---------------------------
@@ -1329,6 +7154,15 @@ function _0x2514(_0x4b6e1f,_0x104b2c){_0x4b6e1f=_0x4b6e1f-(-0x1ece+-0xb75+-0x2b8
     ui.newFile.addEventListener("click", newTab);
 
     ui.openFile.addEventListener("click", openFiles);
+    bindRecentUI();
+    bindFileDropUI();
+    ui.eolMode.addEventListener("click", showEolMenu);
+    if (ui.encodingMode) ui.encodingMode.addEventListener("click", showEncodingMenu);
+    bindExplorerUI();
+    bindProjectUI();
+    bindSearchUI();
+    bindTimelineUI();
+    bindWorkspaceUI();
     ui.openCompare.addEventListener("click", openCompareFile);
     ui.clearCompare.addEventListener("click", clearCompareFile);
 
@@ -1348,6 +7182,7 @@ function _0x2514(_0x4b6e1f,_0x104b2c){_0x4b6e1f=_0x4b6e1f-(-0x1ece+-0xb75+-0x2b8
       ui.scrollLock.setAttribute("aria-pressed", state.scrollLock.enabled ? "true" : "false");
       recomputeScrollLockDelta();
       if (state.scrollLock.enabled) syncCompareScrollFromMaster();
+      persistSessionSoon();
     });
 
     ui.lockMode.addEventListener("change", () => {
@@ -1356,12 +7191,15 @@ function _0x2514(_0x4b6e1f,_0x104b2c){_0x4b6e1f=_0x4b6e1f-(-0x1ece+-0xb75+-0x2b8
         recomputeScrollLockDelta();
         syncCompareScrollFromMaster();
       }
+      persistSessionSoon();
     });
 
     ui.saveFile.addEventListener("click", saveActive);
     ui.saveAsFile.addEventListener("click", saveAsActive);
     ui.saveAll.addEventListener("click", saveAll);
 
+    bindTabMenuUI();
+
     ui.tabs.addEventListener("click", (e) => {
       const tabEl = e.target.closest(".tab");
       if (!tabEl) return;
@@ -1373,6 +7211,21 @@ function _0x2514(_0x4b6e1f,_0x104b2c){_0x4b6e1f=_0x4b6e1f-(-0x1ece+-0xb75+-0x2b8
         return;
       }
 
+      if (e.target.closest(".perm")) {
+        const t = state.tabs.find(x => x.id === id);
+        requestTabPermission(t).then(() => {
+          renderTabs();
+          updatePermissionBanner();
+        });
+        return;
+      }
+
+      if (e.target.closest(".save-error")) {
+        setActiveTab(id);
+        saveActive();
+        return;
+      }
+
       setActiveTab(id);
     });
     // ---------------------------
@@ -1395,6 +7248,7 @@ function _0x2514(_0x4b6e1f,_0x104b2c){_0x4b6e1f=_0x4b6e1f-(-0x1ece+-0xb75+-0x2b8
 
       insertAt = Math.max(0, Math.min(state.tabs.length, insertAt));
       state.tabs.splice(insertAt, 0, moved);
+      keepPinnedTabsFirst();
 
       renderTabs();
       persistSessionSoon();
@@ -1597,7 +7451,6 @@ function _0x2514(_0x4b6e1f,_0x104b2c){_0x4b6e1f=_0x4b6e1f-(-0x1ece+-0xb75+-0x2b8
       await ensureLanguageLoaded(lang);
       t.language = lang;
       monaco.editor.setModelLanguage(t.model, lang);
-      t.dirty = true;
       updateDirtyUI();
       renderTabs();
       persistSessionSoon();
@@ -1613,6 +7466,7 @@ function _0x2514(_0x4b6e1f,_0x104b2c){_0x4b6e1f=_0x4b6e1f-(-0x1ece+-0xb75+-0x2b8
     ui.settingsBtn.addEventListener("click", () => {
       hydrateSettingsUI();
       ui.settingsDialog.showModal();
+      renderStorageDashboard();
     });
     // v4 plugins manager
     if (ui.pluginsBtn && ui.pluginsDialog) {
@@ -1650,7 +7504,19 @@ const _0x103291=_0x515e;(function(_0x178f2f,_0x4303b3){const _0x4d39fb={_0xecc1e
     // v2 settings restored into v4
     if (ui.settingAutosave) {
       ui.settingAutosave.addEventListener("change", () => {
-        state.settings.autosave = !!ui.settingAutosave.checked;
+        state.settings.autosave = ui.settingAutosave.value;
+        normalizeAutosaveSettings(state.settings);
+        if (ui.settingAutosaveDelay) ui.settingAutosaveDelay.disabled = state.settings.autosave !== "afterDelay";
+        cancelAutosaveTimer();
+        persistSettings();
+      });
+    }
+
+    if (ui.settingAutosaveDelay) {
+      ui.settingAutosaveDelay.addEventListener("change", () => {
+        state.settings.autosaveDelay = parseInt(ui.settingAutosaveDelay.value, 10);
+        normalizeAutosaveSettings(state.settings);
+        ui.settingAutosaveDelay.value = String(state.settings.autosaveDelay);
         persistSettings();
       });
     }
@@ -1686,6 +7552,20 @@ const _0x103291=_0x515e;(function(_0x178f2f,_0x4303b3){const _0x4d39fb={_0xecc1e
       });
     }
 
+    if (ui.storagePersistBtn) ui.storagePersistBtn.addEventListener("click", requestPersistentStorage);
+    if (ui.storageRefreshBtn) ui.storageRefreshBtn.addEventListener("click", renderStorageDashboard);
+    if (ui.exportWorkspaceBtn) ui.exportWorkspaceBtn.addEventListener("click", exportWorkspace);
+    if (ui.importWorkspaceBtn && ui.importWorkspaceInput) {
+      ui.importWorkspaceBtn.addEventListener("click", () => {
+        ui.importWorkspaceInput.value = "";
+        ui.importWorkspaceInput.click();
+      });
+      ui.importWorkspaceInput.addEventListener("change", () => {
+        const f = ui.importWorkspaceInput.files && ui.importWorkspaceInput.files[0];
+        if (f) importWorkspaceFile(f);
+      });
+    }
+
         ui.clearSessionBtn.addEventListener("click", async (e) => {
       // Shift-click: purge stored docs by name substring (without wiping everything)
       if (e && e.shiftKey) {
@@ -1710,17 +7590,10 @@ const _0x103291=_0x515e;(function(_0x178f2f,_0x4303b3){const _0x4d39fb={_0xecc1e
       if (files.length === 0) return;
 
       for (const f of files) {
-        const r = new FileReader();
-        await new Promise((resolve) => {
-          r.onload = async (ev2) => {
-            const text = String(ev2.target.result || "");
-            const lang = inferLanguageFromFilename(f.name);
-            const tab = await createTab({ name: f.name, content: text, language: lang, handle: null });
-            state.activeId = tab.id;
-            resolve();
-          };
-          r.readAsText(f);
-        });
+        const tab = await createTabFromFile(f);
+        if (!tab) continue;
+        state.activeId = tab.id;
+        if (tab.kind !== "hex") recordHistorySnapshot(tab, "opened");
       }
 
       renderTabs();
@@ -1733,13 +7606,10 @@ const _0x103291=_0x515e;(function(_0x178f2f,_0x4303b3){const _0x4d39fb={_0xecc1e
       const f = files[0];
       if (!f) return;
 
-      const r = new FileReader();
-      r.onload = async (ev2) => {
-        const text = String(ev2.target.result || "");
-        await setCompareModelFromText(f.name || "compare", text, null);
-        setStatus("Compare loaded");
-      };
-      r.readAsText(f);
+      const text = await readCompareFileText(f);
+      if (text === null) return;
+      await setCompareModelFromText(f.name || "compare", text, null);
+      setStatus("Compare loaded");
     });
 
     window.addEventListener("keydown", (e) => {
@@ -1754,6 +7624,16 @@ const _0x103291=_0x515e;(function(_0x178f2f,_0x4303b3){const _0x4d39fb={_0xecc1e
         else saveActive();
       }
 
+      if (e.key.toLowerCase() === "f" && e.shiftKey) {
+        e.preventDefault();
+        showFindInFiles();
+      }
+
+      if (e.key.toLowerCase() === "t" && e.shiftKey) {
+        e.preventDefault();
+        reopenClosedTab();
+      }
+
       if (e.key.toLowerCase() === "o") {
         e.preventDefault();
         openFiles();
@@ -1764,6 +7644,13 @@ const _0x103291=_0x515e;(function(_0x178f2f,_0x4303b3){const _0x4d39fb={_0xecc1e
         newTab();
       }
     });
+
+    // Tabs without a handle live on in IndexedDB; edits to real files don't until saved.
+    window.addEventListener("beforeunload", (e) => {
+      if (!state.tabs.some(t => t.dirty && t.handle)) return;
+      e.preventDefault();
+      e.returnValue = "";
+    });
   }
 
   // ---------------------------
@@ -1853,8 +7740,15 @@ const _0x103291=_0x515e;(function(_0x178f2f,_0x4303b3){const _0x4d39fb={_0xecc1e
         if (state.scrollLock.enabled && state.view.mode === "split") {
           syncCompareScrollFromMaster();
         }
+        persistSessionSoon();
       });
 
+      // View state (selections, folding, compare scroll) is persisted too
+      editor.onDidChangeCursorSelection(() => persistSessionSoon());
+      if (typeof editor.onDidChangeHiddenAreas === "function") editor.onDidChangeHiddenAreas(() => persistSessionSoon());
+      editorCompare.onDidScrollChange(() => persistSessionSoon());
+      state.compare.model.onDidChangeContent(() => persistSessionSoon()); // editable when compareReadOnly is off
+
       const ro = new ResizeObserver(() => {
         if (!editor) return;
         editor.layout();
@@ -1867,30 +7761,44 @@ const _0x103291=_0x515e;(function(_0x178f2f,_0x4303b3){const _0x4d39fb={_0xecc1e
             editor.onDidChangeModelContent(() => {
         const t = activeTab();
         if (!t) return;
-        t.dirty = true;
-        updateDirtyUI();
-        renderTabs();
+        if (updateTabDirty(t)) {
+          updateDirtyUI();
+          renderTabs();
+        }
+        if (t.dirty && t.handle) broadcastFileDirty(t);
         persistSessionSoon();
-        autosaveActiveSoon();
+        autosaveAfterEdit();
       });
 
 
+      // Which workspace this window shows (one window per workspace)
+      await loadWorkspaces();
+      startWindowSync();
+      await claimWorkspaceForWindow();
+
             // Session load (tabs)
       await loadSession();
 
+      await loadClosedTabs();
+
+      // Recent files/folders (Open ▾ and the start screen)
+      await loadRecent();
+
+      // Workspace folder (explorer sidebar)
+      await restoreExplorer();
+
+      // Local history: periodic snapshots + cleanup of long-closed docs
+      startHistoryTimer();
+
+      // Files changed by other tools: re-check on focus and periodically
+      startDiskWatch();
+      startAutosave();
+
       // If no stored docs, create a default tab
-      if (!state.tabs.length) {
-        const tab = await createTab({
-          name: "untitled",
-          content: "",
-          language: "plaintext",
-          handle: null
-        });
-        state.activeId = tab.id;
-        editor.setModel(tab.model);
-        renderTabs();
-        updateDirtyUI();
-      }
+      await ensureStartTab();
+
+      // Restored file handles usually need permission again after a browser restart
+      await refreshHandlePermissions();
       // Apply settings that require live editor/model instances (line numbers, indentation, etc.)
       applyEditorOptionsFromSettings();
 
@@ -1904,6 +7812,15 @@ const _0x103291=_0x515e;(function(_0x178f2f,_0x4303b3){const _0x4d39fb={_0xecc1e
       // v4: split vs single layout toggle (split mode only)
       applySplitLayout();
 
+      // COMPARE file, view mode, split layout, scroll lock from the last session
+      await restoreSessionView();
+      sessionRestored = true;
+      persistSessionSoon();
+
+      // Files opened from the OS ("Open with") and text shared from other apps
+      setupLaunchQueue();
+      await consumeSharedText();
+
       // v4: plugin API + load installed plugins
       ensureMoonskaiAPI();
       await loadEnabledPlugins();
@@ -1911,6 +7828,9 @@ const _0x103291=_0x515e;(function(_0x178f2f,_0x4303b3){const _0x4d39fb={_0xecc1e
       hideBootOverlay();
       setStatus("Ready");
       updateCursorUI();
+
+      // Warn early if the browser could start evicting stored docs
+      checkStorageHealth();
     } catch (e) {
       showBootError((e && (e.stack || e.message)) ? (e.stack || e.message) : String(e));
     }
@@ -1952,6 +7872,7 @@ const _0x103291=_0x515e;(function(_0x178f2f,_0x4303b3){const _0x4d39fb={_0xecc1e
     const cur = state.view.layout || "split";
     state.view.layout = (cur === "single") ? "split" : "single";
     applySplitLayout();
+    persistSessionSoon();
   }
 
   function updateViewToggleUI() {